@@ -0,0 +1,602 @@
+/**
+ * Capture
+ *
+ * Screenshots (PNG) and gameplay recordings (WebM) of the Ruffle player, for
+ * showcase clips. The video comes from the player's canvas and the sound from
+ * Ruffle's AudioContext, so only the game is captured, not the page.
+ *
+ * Captures are named after the game and the time (Bad_Ice_Cream-2025-08-16T10-30-00.webm)
+ * and the most recent ones are kept in an IndexedDB gallery, where they can be
+ * downloaded or deleted.
+ *
+ * Ruffle doesn't expose its audio, so AudioNode.prototype.connect is wrapped to
+ * note the nodes that play to the speakers; while recording they are also
+ * connected to the recorder.
+ */
+
+(function() {
+    console.log('[Capture] Initializing...');
+
+    // Configuration
+    const CONFIG = {
+        // IndexedDB database and store of the gallery
+        dbName: 'ruffle-captures',
+        storeName: 'captures',
+
+        // Number of captures kept in the gallery, older ones are removed
+        maxCaptures: 20,
+
+        // Recordings stop by themselves after this many seconds
+        maxRecordingSeconds: 300,
+
+        // Frame rate of recordings
+        videoFrameRate: 30,
+
+        // Recording formats, the first one the browser supports is used
+        videoMimeTypes: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'],
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Capture]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Capture]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Capture]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Capture]', msg)
+    };
+
+    // Nodes connected to the speakers, per AudioContext (in creation order)
+    const audioOutputs = new Map();
+
+    // Recorder inputs per AudioContext, while recording
+    const recordingDestinations = new Map();
+
+    // Current recording: { recorder, chunks, gameId, startedAt, canvas, timer, stream }
+    let recording = null;
+
+    let dbPromise = null;
+
+    /**
+     * Get a translated string by key, with optional {name} variables (see i18n.js)
+     */
+    function t(key, vars) {
+        return window.I18n.t(key, vars);
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Format a byte count for display
+     */
+    function formatBytes(bytes) {
+        if (!bytes) return '0 KB';
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Format a duration in seconds as m:ss
+     */
+    function formatDuration(seconds) {
+        const total = Math.round(seconds);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    // Note the audio nodes that play to the speakers, and feed them to the recorder while recording
+    if (typeof AudioNode !== 'undefined' && typeof AudioDestinationNode !== 'undefined') {
+        const originalConnect = AudioNode.prototype.connect;
+        const originalDisconnect = AudioNode.prototype.disconnect;
+
+        AudioNode.prototype.connect = function(destination, ...args) {
+            const result = originalConnect.call(this, destination, ...args);
+
+            if (destination instanceof AudioDestinationNode) {
+                const context = destination.context;
+                if (!audioOutputs.has(context)) audioOutputs.set(context, new Set());
+                audioOutputs.get(context).add(this);
+
+                const recorderInput = recordingDestinations.get(context);
+                if (recorderInput) originalConnect.call(this, recorderInput);
+            }
+
+            return result;
+        };
+
+        AudioNode.prototype.disconnect = function(...args) {
+            if (args.length === 0 || args[0] instanceof AudioDestinationNode) {
+                const outputs = audioOutputs.get(this.context);
+                if (outputs) outputs.delete(this);
+            }
+            return originalDisconnect.apply(this, args);
+        };
+    }
+
+    /**
+     * Get the audio of the newest running AudioContext as a stream, or null
+     */
+    function startAudioCapture() {
+        const contexts = Array.from(audioOutputs.keys()).filter(context => context.state !== 'closed');
+        const context = contexts[contexts.length - 1];
+        if (!context || typeof context.createMediaStreamDestination !== 'function') return null;
+
+        const recorderInput = context.createMediaStreamDestination();
+        recordingDestinations.set(context, recorderInput);
+        audioOutputs.get(context).forEach(node => {
+            try {
+                node.connect(recorderInput);
+            } catch (error) {
+                Logger.debug(`Could not tap an audio node: ${error.message}`);
+            }
+        });
+        return recorderInput.stream;
+    }
+
+    /**
+     * Stop feeding audio to the recorder
+     */
+    function stopAudioCapture() {
+        recordingDestinations.forEach((recorderInput, context) => {
+            (audioOutputs.get(context) || []).forEach(node => {
+                try {
+                    node.disconnect(recorderInput);
+                } catch (error) {
+                    // Already disconnected
+                }
+            });
+        });
+        recordingDestinations.clear();
+    }
+
+    /**
+     * Get the canvas of the Ruffle player, or null when nothing is playing
+     */
+    function getPlayerCanvas() {
+        const player = document.getElementById('ruffle-instance') || document.querySelector('#ruffle-player ruffle-player');
+        if (!player || !player.shadowRoot) return null;
+        return player.shadowRoot.querySelector('canvas');
+    }
+
+    /**
+     * Get the id of the game that is playing, or "custom" for local files
+     */
+    function getCaptureGameId() {
+        const gameId = typeof window.getCurrentGame === 'function' ? window.getCurrentGame() : null;
+        return gameId || 'custom';
+    }
+
+    /**
+     * Build a capture file name: <game id>-<date and time>.<extension>
+     */
+    function buildFileName(gameId, date, extension) {
+        const timestamp = date.toISOString().slice(0, 19).replace(/:/g, '-');
+        return `${gameId}-${timestamp}.${extension}`;
+    }
+
+    /**
+     * Open the gallery database
+     */
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('This browser does not support IndexedDB'));
+                return;
+            }
+
+            const request = indexedDB.open(CONFIG.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(CONFIG.storeName, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('created', 'created');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+        return dbPromise;
+    }
+
+    /**
+     * Run a request on the gallery store and resolve with its result
+     */
+    async function withStore(mode, callback) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(CONFIG.storeName, mode);
+            const request = callback(transaction.objectStore(CONFIG.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * List the captures in the gallery, newest first (without their data)
+     */
+    async function listCaptures() {
+        const captures = await withStore('readonly', store => store.getAll());
+        return captures
+            .sort((a, b) => b.created - a.created)
+            .map(({ blob, ...capture }) => capture);
+    }
+
+    /**
+     * Get a capture with its data
+     */
+    function getCapture(id) {
+        return withStore('readonly', store => store.get(id));
+    }
+
+    /**
+     * Delete a capture from the gallery
+     */
+    async function deleteCapture(id) {
+        await withStore('readwrite', store => store.delete(id));
+        Logger.info(`Deleted capture ${id}`);
+        renderPanel();
+    }
+
+    /**
+     * Add a capture to the gallery and remove the oldest ones over CONFIG.maxCaptures
+     */
+    async function saveCapture(capture) {
+        const id = await withStore('readwrite', store => store.add(capture));
+
+        const captures = await listCaptures();
+        const extra = captures.slice(CONFIG.maxCaptures);
+        if (extra.length > 0) {
+            await withStore('readwrite', store => {
+                extra.forEach(old => store.delete(old.id));
+                return null;
+            });
+            Logger.info(`Removed ${extra.length} old capture(s) from the gallery`);
+        }
+
+        Logger.info(`Saved ${capture.name} (${formatBytes(capture.size)})`);
+        renderPanel();
+        return { ...capture, id };
+    }
+
+    /**
+     * Download a capture from the gallery
+     */
+    async function downloadCapture(id) {
+        const capture = await getCapture(id);
+        if (!capture) throw new Error(`Capture not found: ${id}`);
+
+        const url = URL.createObjectURL(capture.blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = capture.name;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Copy the current frame of a canvas to a PNG. The frame is read from a
+     * video stream, because WebGL canvases can't always be read directly.
+     */
+    async function captureFrame(canvas) {
+        const still = document.createElement('canvas');
+        still.width = canvas.width;
+        still.height = canvas.height;
+        const context = still.getContext('2d');
+
+        if (typeof canvas.captureStream === 'function') {
+            const stream = canvas.captureStream();
+            const video = document.createElement('video');
+            video.muted = true;
+            video.playsInline = true;
+            video.srcObject = stream;
+            try {
+                await video.play();
+                if (video.readyState < 2) {
+                    await new Promise(resolve => video.addEventListener('loadeddata', resolve, { once: true }));
+                }
+                context.drawImage(video, 0, 0, still.width, still.height);
+            } finally {
+                stream.getTracks().forEach(track => track.stop());
+                video.srcObject = null;
+            }
+        } else {
+            context.drawImage(canvas, 0, 0);
+        }
+
+        return new Promise((resolve, reject) => {
+            still.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the screenshot')), 'image/png');
+        });
+    }
+
+    /**
+     * Save a PNG screenshot of the player to the gallery
+     */
+    async function takeScreenshot() {
+        const canvas = getPlayerCanvas();
+        if (!canvas) throw new Error(t('captureNoPlayer'));
+
+        const blob = await captureFrame(canvas);
+        const created = new Date();
+        const gameId = getCaptureGameId();
+
+        return saveCapture({
+            type: 'image',
+            name: buildFileName(gameId, created, 'png'),
+            gameId,
+            created: created.getTime(),
+            mimeType: 'image/png',
+            size: blob.size,
+            width: canvas.width,
+            height: canvas.height,
+            duration: null,
+            blob
+        });
+    }
+
+    /**
+     * Start recording the player's canvas and sound
+     */
+    function startRecording() {
+        if (recording) return;
+
+        const canvas = getPlayerCanvas();
+        if (!canvas) throw new Error(t('captureNoPlayer'));
+
+        const mimeType = typeof MediaRecorder !== 'undefined' && typeof canvas.captureStream === 'function'
+            ? CONFIG.videoMimeTypes.find(type => MediaRecorder.isTypeSupported(type))
+            : null;
+        if (!mimeType) throw new Error(t('captureUnsupported'));
+
+        const stream = canvas.captureStream(CONFIG.videoFrameRate);
+        const audio = startAudioCapture();
+        if (audio) {
+            audio.getAudioTracks().forEach(track => stream.addTrack(track));
+        } else {
+            Logger.warn('No game audio found, recording without sound');
+        }
+
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const current = {
+            recorder,
+            stream,
+            canvas,
+            chunks: [],
+            gameId: getCaptureGameId(),
+            startedAt: new Date(),
+            timer: null
+        };
+
+        recorder.addEventListener('dataavailable', (event) => {
+            if (event.data && event.data.size > 0) current.chunks.push(event.data);
+        });
+        recorder.addEventListener('stop', () => finishRecording(current));
+
+        // Stop when the time is up or the player is replaced
+        current.timer = setInterval(() => {
+            const seconds = (Date.now() - current.startedAt.getTime()) / 1000;
+            if (seconds >= CONFIG.maxRecordingSeconds || !canvas.isConnected) {
+                stopRecording();
+            } else {
+                updateRecordingState();
+            }
+        }, 1000);
+
+        recorder.start(1000);
+        recording = current;
+        Logger.info(`Recording ${current.gameId} (${mimeType})`);
+        updateRecordingState();
+    }
+
+    /**
+     * Stop the recording. The file is saved to the gallery when the recorder has finished.
+     */
+    function stopRecording() {
+        if (!recording) return;
+
+        clearInterval(recording.timer);
+        if (recording.recorder.state !== 'inactive') {
+            recording.recorder.stop();
+        }
+        recording = null;
+        updateRecordingState();
+    }
+
+    /**
+     * Save a finished recording to the gallery
+     */
+    async function finishRecording(current) {
+        stopAudioCapture();
+        current.stream.getTracks().forEach(track => track.stop());
+
+        const blob = new Blob(current.chunks, { type: 'video/webm' });
+        const duration = (Date.now() - current.startedAt.getTime()) / 1000;
+        Logger.info(`Recorded ${formatDuration(duration)} of ${current.gameId}`);
+
+        try {
+            await saveCapture({
+                type: 'video',
+                name: buildFileName(current.gameId, current.startedAt, 'webm'),
+                gameId: current.gameId,
+                created: current.startedAt.getTime(),
+                mimeType: 'video/webm',
+                size: blob.size,
+                width: current.canvas.width,
+                height: current.canvas.height,
+                duration,
+                blob
+            });
+        } catch (error) {
+            Logger.error(`Error saving the recording: ${error.message}`);
+            alert(`${t('captureFailed')} ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the recording state on the capture button and panel
+     */
+    function updateRecordingState() {
+        const button = document.getElementById('capture-btn');
+        if (button) {
+            button.classList.toggle('recording', Boolean(recording));
+        }
+
+        const status = document.querySelector('.capture-status');
+        if (status) {
+            status.textContent = recording
+                ? t('captureRecording', { time: formatDuration((Date.now() - recording.startedAt.getTime()) / 1000) })
+                : '';
+        }
+
+        const recordButton = document.querySelector('.capture-action[data-action="record"]');
+        if (recordButton) {
+            recordButton.textContent = recording ? t('captureStop') : t('captureRecord');
+        }
+    }
+
+    /**
+     * Render the capture panel: actions and gallery
+     */
+    async function renderPanel() {
+        const panel = document.getElementById('capture-panel');
+        if (!panel || panel.hidden) return;
+
+        let captures = [];
+        let error = null;
+        try {
+            captures = await listCaptures();
+        } catch (loadError) {
+            error = loadError.message;
+        }
+
+        // Thumbnails of the previous render
+        panel.querySelectorAll('img[data-object-url]').forEach(img => URL.revokeObjectURL(img.src));
+
+        const listHTML = captures.length
+            ? captures.map(capture => `
+                <li class="capture-entry" data-capture-id="${capture.id}">
+                    <span class="capture-thumb">${capture.type === 'image' ? '' : '🎞'}</span>
+                    <span class="capture-name" title="${escapeHTML(capture.name)}">${escapeHTML(capture.name)}</span>
+                    <span class="capture-size">${capture.duration !== null ? `${formatDuration(capture.duration)} · ` : ''}${formatBytes(capture.size)}</span>
+                    <button class="capture-action" data-action="download" data-capture-id="${capture.id}" title="${t('captureDownload')}">⬇</button>
+                    <button class="capture-action" data-action="delete" data-capture-id="${capture.id}" title="${t('captureDelete')}">✕</button>
+                </li>
+            `).join('')
+            : `<li class="capture-empty">${error ? escapeHTML(error) : t('capturesEmpty')}</li>`;
+
+        panel.innerHTML = `
+            <h3>${t('capturesTitle')}</h3>
+            <div class="capture-buttons">
+                <button class="capture-action" data-action="screenshot">${t('captureScreenshot')}</button>
+                <button class="capture-action" data-action="record">${recording ? t('captureStop') : t('captureRecord')}</button>
+                <span class="capture-status"></span>
+            </div>
+            <ul class="capture-list">${listHTML}</ul>
+        `;
+        updateRecordingState();
+
+        // Screenshot thumbnails are loaded from the gallery
+        await Promise.all(captures.filter(capture => capture.type === 'image').map(async capture => {
+            const full = await getCapture(capture.id);
+            const thumb = panel.querySelector(`.capture-entry[data-capture-id="${capture.id}"] .capture-thumb`);
+            if (!full || !thumb) return;
+            const img = document.createElement('img');
+            img.src = URL.createObjectURL(full.blob);
+            img.dataset.objectUrl = 'true';
+            img.alt = '';
+            thumb.appendChild(img);
+        }));
+    }
+
+    /**
+     * Create the capture button and panel
+     */
+    function createPanel() {
+        const infoButtonContainer = document.querySelector('.info-button');
+        if (!infoButtonContainer || document.getElementById('capture-btn')) return;
+
+        const button = document.createElement('button');
+        button.id = 'capture-btn';
+        button.textContent = '🎬';
+        button.title = t('capturesTitle');
+        infoButtonContainer.prepend(button);
+
+        const panel = document.createElement('div');
+        panel.id = 'capture-panel';
+        panel.className = 'capture-panel';
+        panel.hidden = true;
+        document.body.appendChild(panel);
+
+        button.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            renderPanel();
+        });
+
+        panel.addEventListener('click', async (event) => {
+            const actionButton = event.target.closest('.capture-action');
+            if (!actionButton) return;
+
+            const id = parseInt(actionButton.dataset.captureId, 10);
+            try {
+                switch (actionButton.dataset.action) {
+                    case 'screenshot':
+                        await takeScreenshot();
+                        break;
+
+                    case 'record':
+                        if (recording) {
+                            stopRecording();
+                        } else {
+                            startRecording();
+                        }
+                        break;
+
+                    case 'download':
+                        await downloadCapture(id);
+                        break;
+
+                    case 'delete':
+                        await deleteCapture(id);
+                        break;
+                }
+            } catch (error) {
+                Logger.error(`Capture error: ${error.message}`);
+                alert(`${t('captureFailed')} ${error.message}`);
+            }
+        });
+
+        window.addEventListener('languageChanged', renderPanel);
+    }
+
+    // Start when the DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', createPanel);
+    } else {
+        createPanel();
+    }
+
+    // Export API to window for external access
+    window.CaptureManager = {
+        takeScreenshot,
+        startRecording,
+        stopRecording,
+        isRecording: () => recording !== null,
+        listCaptures,
+        getCapture,
+        deleteCapture,
+        downloadCapture,
+        buildFileName
+    };
+})();
@@ -0,0 +1,380 @@
+/**
+ * Catalog Schema
+ *
+ * Defines the versioned format of games.json and validates it at runtime.
+ * Used by script.js and url-engine.js in the browser, and by the Node tools
+ * (require('./assets/js/catalog-schema.js')).
+ *
+ * Schema version 1:
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "nitromeGames": [
+ *       { "id": "Aquanaut", "name": "Aquanaut", "path": "https://cdn.xperia.pt/nitrone-games/Aquanaut.swf" }
+ *     ]
+ *   }
+ *
+ * Every top-level array is a collection of games. See docs/catalog-schema.md for all fields.
+ */
+
+(function(root) {
+    // Current schema version
+    const SCHEMA_VERSION = 1;
+
+    // Allowed characters in game ids (they are used in URLs and localStorage keys)
+    const ID_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+    // Ruffle options a catalog entry may set
+    const RUFFLE_OPTIONS = [
+        'autoplay', 'backgroundColor', 'letterbox', 'quality', 'scale', 'forceScale',
+        'frameRate', 'wmode', 'salign', 'forceAlign', 'unmuteOverlay',
+        'allowScriptAccess', 'parameters', 'menu', 'maxExecutionDuration',
+        'playerVersion', 'preferredRenderer', 'allowNetworking', 'upgradeToHttps',
+        'compatibilityRules', 'base', 'splashScreen', 'contextMenu'
+    ];
+
+    // Controller inputs a gamepad mapping may bind to keys (see gamepad.js)
+    const GAMEPAD_INPUTS = [
+        'up', 'down', 'left', 'right', 'a', 'b', 'x', 'y',
+        'lb', 'rb', 'lt', 'rt', 'select', 'start'
+    ];
+
+    const isString = (value) => typeof value === 'string';
+    const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+    const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    /**
+     * Check that a string is an absolute or relative URL
+     */
+    function isUrl(value) {
+        if (!isNonEmptyString(value) || /\s/.test(value)) return false;
+        try {
+            new URL(value, 'https://example.invalid/');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Field definitions: required flag and a check returning an error message or null
+     */
+    const FIELDS = {
+        id: {
+            required: true,
+            check: (value) => {
+                if (!isNonEmptyString(value)) return 'must be a non-empty string';
+                if (!ID_PATTERN.test(value)) return 'may only contain letters, digits, "_", "-" and "."';
+                return null;
+            }
+        },
+        name: {
+            required: true,
+            check: (value) => isNonEmptyString(value) ? null : 'must be a non-empty string'
+        },
+        path: {
+            required: true,
+            check: (value) => isUrl(value) ? null : 'must be a URL'
+        },
+        publisher: {
+            check: (value) => isNonEmptyString(value) ? null : 'must be a non-empty string'
+        },
+        year: {
+            check: (value) => Number.isInteger(value) && value >= 1990 && value <= 2100 ? null : 'must be a year between 1990 and 2100'
+        },
+        tags: {
+            check: (value) => Array.isArray(value) && value.every(isNonEmptyString) ? null : 'must be an array of strings'
+        },
+        description: {
+            check: (value) => isString(value) ? null : 'must be a string'
+        },
+        thumbnail: {
+            check: (value) => isUrl(value) ? null : 'must be a URL'
+        },
+        flashvars: {
+            check: (value) => {
+                if (isString(value)) return null;
+                if (isPlainObject(value) && Object.values(value).every(v => ['string', 'number', 'boolean'].includes(typeof v))) return null;
+                return 'must be a query string or an object of string/number/boolean values';
+            }
+        },
+        ruffleOptions: {
+            check: (value) => {
+                if (!isPlainObject(value)) return 'must be an object';
+                const unknown = Object.keys(value).filter(key => !RUFFLE_OPTIONS.includes(key));
+                return unknown.length ? `has unknown options: ${unknown.join(', ')}` : null;
+            }
+        },
+        previousPaths: {
+            check: (value) => Array.isArray(value) && value.every(isUrl) ? null : 'must be an array of URLs'
+        },
+        mirrors: {
+            check: (value) => Array.isArray(value) && value.every(isUrl) ? null : 'must be an array of URLs'
+        },
+        collection: {
+            check: (value) => isNonEmptyString(value) ? null : 'must be a non-empty string'
+        },
+        touchControls: {
+            check: (value) => {
+                if (value === false) return null;
+                if (!isPlainObject(value)) return 'must be false or an object with "dpad" and/or "buttons"';
+                const { dpad, buttons } = value;
+                if (dpad !== undefined && dpad !== false && !(isPlainObject(dpad) &&
+                    Object.entries(dpad).every(([direction, code]) => ['up', 'down', 'left', 'right'].includes(direction) && isString(code)))) {
+                    return '"dpad" must be false or map up, down, left and right to key codes';
+                }
+                if (buttons !== undefined && !(Array.isArray(buttons) &&
+                    buttons.every(button => isPlainObject(button) && isNonEmptyString(button.key) && (button.label === undefined || isString(button.label))))) {
+                    return '"buttons" must be an array of { "key", "label" } objects';
+                }
+                return null;
+            }
+        },
+        gamepad: {
+            check: (value) => {
+                if (!Array.isArray(value) || value.length === 0) return 'must be an array with one mapping per player';
+                const invalid = value.findIndex(mapping => !isPlainObject(mapping) ||
+                    Object.entries(mapping).some(([input, code]) => !GAMEPAD_INPUTS.includes(input) || !isString(code)));
+                return invalid === -1 ? null : `player ${invalid + 1} must map controller inputs (${GAMEPAD_INPUTS.join(', ')}) to key codes`;
+            }
+        },
+        redirects: {
+            check: (value) => {
+                if (!Array.isArray(value)) return 'must be an array of redirect rules';
+                const invalid = value.findIndex(rule => !isPlainObject(rule) || !isNonEmptyString(rule.to) ||
+                    (isNonEmptyString(rule.from) === isNonEmptyString(rule.regex)));
+                return invalid === -1 ? null : `rule ${invalid + 1} must have "to" and either "from" or "regex"`;
+            }
+        },
+        added: {
+            check: (value) => isString(value) && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) ? null : 'must be a date (YYYY-MM-DD)'
+        }
+    };
+
+    /**
+     * Validate a single catalog entry.
+     * Returns a list of { field, message, severity } problems.
+     */
+    function validateGame(game) {
+        const problems = [];
+
+        if (!isPlainObject(game)) {
+            return [{ field: null, message: 'entry must be an object', severity: 'error' }];
+        }
+
+        Object.entries(FIELDS).forEach(([field, definition]) => {
+            if (game[field] === undefined) {
+                if (definition.required) {
+                    problems.push({ field, message: 'is required', severity: 'error' });
+                }
+                return;
+            }
+
+            const message = definition.check(game[field]);
+            if (message) {
+                problems.push({ field, message, severity: 'error' });
+            }
+        });
+
+        Object.keys(game)
+            .filter(field => !FIELDS[field])
+            .forEach(field => problems.push({ field, message: 'is not a known field', severity: 'warning' }));
+
+        return problems;
+    }
+
+    /**
+     * Turn the supported legacy shapes (bare array, object keyed by id) into version 1 collections
+     */
+    function getCollections(data, issues) {
+        if (Array.isArray(data)) {
+            issues.push({ severity: 'warning', message: 'games.json is a bare array, expected { "schemaVersion": 1, "nitromeGames": [...] }' });
+            return { nitromeGames: data };
+        }
+
+        if (!isPlainObject(data)) {
+            issues.push({ severity: 'error', message: 'games.json must be an object' });
+            return {};
+        }
+
+        const collections = {};
+        const keyed = {};
+        Object.entries(data).forEach(([key, value]) => {
+            if (key === 'schemaVersion') return;
+            if (Array.isArray(value)) {
+                collections[key] = value;
+            } else if (isPlainObject(value)) {
+                keyed[key] = value;
+            } else {
+                issues.push({ severity: 'warning', message: `Ignoring top-level key "${key}"` });
+            }
+        });
+
+        if (Object.keys(keyed).length > 0) {
+            issues.push({ severity: 'warning', message: 'Games keyed by id are a legacy format, use an array of entries instead' });
+            collections.legacy = Object.entries(keyed).map(([id, game]) => ({ id, ...game }));
+        }
+
+        return collections;
+    }
+
+    /**
+     * Validate a parsed games.json.
+     *
+     * Returns {
+     *   schemaVersion,
+     *   games: valid entries (each with a "collectionKey"),
+     *   invalid: [{ collection, index, id, problems }] for entries with errors,
+     *   warnings: [{ collection, index, id, problems }] for entries with warnings only,
+     *   issues: [{ severity, message }] for the file as a whole
+     * }
+     */
+    function validateCatalog(data) {
+        const issues = [];
+        const result = {
+            schemaVersion: null,
+            games: [],
+            invalid: [],
+            warnings: [],
+            issues
+        };
+
+        if (isPlainObject(data) && data.schemaVersion !== undefined) {
+            result.schemaVersion = data.schemaVersion;
+            if (data.schemaVersion !== SCHEMA_VERSION) {
+                issues.push({ severity: data.schemaVersion > SCHEMA_VERSION ? 'error' : 'warning', message: `Unsupported schemaVersion ${data.schemaVersion} (this site understands ${SCHEMA_VERSION})` });
+            }
+        } else {
+            issues.push({ severity: 'warning', message: `Missing schemaVersion, assuming ${SCHEMA_VERSION}` });
+        }
+
+        const collections = getCollections(data, issues);
+        const seenIds = {};
+
+        Object.entries(collections).forEach(([collectionKey, entries]) => {
+            entries.forEach((game, index) => {
+                const problems = validateGame(game);
+                const id = isPlainObject(game) && isString(game.id) ? game.id : null;
+
+                // Ids are matched case-insensitively in URLs, so they must be unique ignoring case
+                if (id) {
+                    const key = id.toLowerCase();
+                    if (seenIds[key]) {
+                        problems.push({ field: 'id', message: `duplicates ${seenIds[key]}`, severity: 'error' });
+                    } else {
+                        seenIds[key] = `${collectionKey}[${index}]`;
+                    }
+                }
+
+                const report = { collection: collectionKey, index, id, problems };
+                if (problems.some(problem => problem.severity === 'error')) {
+                    result.invalid.push(report);
+                    return;
+                }
+                if (problems.length > 0) {
+                    result.warnings.push(report);
+                }
+                result.games.push({ ...game, collectionKey });
+            });
+        });
+
+        if (result.games.length === 0 && result.invalid.length === 0) {
+            issues.push({ severity: 'error', message: 'No games found in games.json' });
+        }
+
+        return result;
+    }
+
+    /**
+     * Format a validation report as readable lines
+     */
+    function formatReport(result) {
+        const lines = result.issues.map(issue => `${issue.severity}: ${issue.message}`);
+
+        const describe = (report) => {
+            const location = `${report.collection}[${report.index}]${report.id ? ` (${report.id})` : ''}`;
+            return report.problems.map(problem => `${problem.severity}: ${location}${problem.field ? ` ${problem.field}` : ''} ${problem.message}`);
+        };
+
+        result.invalid.forEach(report => lines.push(...describe(report)));
+        result.warnings.forEach(report => lines.push(...describe(report)));
+        return lines;
+    }
+
+    /**
+     * List the invalid entries of a validation result in a banner on the page, or remove the banner
+     */
+    function showBanner(result) {
+        const errors = result.issues.filter(issue => issue.severity === 'error');
+        let banner = document.getElementById('catalog-errors');
+        if (result.invalid.length === 0 && errors.length === 0) {
+            if (banner) banner.remove();
+            return;
+        }
+
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'catalog-errors';
+            banner.className = 'catalog-errors';
+            document.body.appendChild(banner);
+        }
+
+        const t = (key) => typeof root._ === 'function' ? root._(key) : key;
+        const items = [
+            ...errors.map(issue => issue.message),
+            ...result.invalid.map(entry => `${entry.collection}[${entry.index}]${entry.id ? ` ${entry.id}` : ''}: ${entry.problems.filter(p => p.severity === 'error').map(p => `${p.field || ''} ${p.message}`.trim()).join('; ')}`)
+        ];
+
+        banner.innerHTML = `
+            <strong>${t('catalogErrors')} ${result.invalid.length}</strong>
+            <ul>${items.map(item => `<li></li>`).join('')}</ul>
+            <button class="catalog-errors-close">✕</button>
+        `;
+        // Entries come from games.json, so set them as text
+        banner.querySelectorAll('li').forEach((li, index) => {
+            li.textContent = items[index];
+        });
+        banner.querySelector('.catalog-errors-close').addEventListener('click', () => banner.remove());
+    }
+
+    /**
+     * Log a validation result and list the invalid entries in a banner on the page.
+     * The catalog can be validated before <body> exists (i18n.js loads it from <head>),
+     * the banner then waits for DOMContentLoaded.
+     */
+    function report(result, logPrefix = '[Catalog]') {
+        formatReport(result).forEach(line => {
+            if (line.startsWith('error')) {
+                console.error(logPrefix, line);
+            } else {
+                console.warn(logPrefix, line);
+            }
+        });
+
+        if (typeof document === 'undefined') return;
+
+        if (!document.body) {
+            document.addEventListener('DOMContentLoaded', () => showBanner(result), { once: true });
+            return;
+        }
+
+        showBanner(result);
+    }
+
+    const CatalogSchema = {
+        SCHEMA_VERSION,
+        FIELDS: Object.keys(FIELDS),
+        RUFFLE_OPTIONS,
+        GAMEPAD_INPUTS,
+        validateGame,
+        validateCatalog,
+        formatReport,
+        report
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CatalogSchema;
+    } else {
+        root.CatalogSchema = CatalogSchema;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
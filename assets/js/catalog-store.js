@@ -0,0 +1,264 @@
+/**
+ * Catalog Store
+ *
+ * Loads games.json and translations.json once and is the single place every
+ * module reads the catalog from: script.js (dropdown), url-engine.js and
+ * patch1.0.js (URL routing), the library, offline, save and network panels.
+ *
+ * Games can be looked up by id, by URL slug and by SWF path (including mirrors).
+ * When both files are loaded a "gameDataLoaded" event is dispatched on window.
+ *
+ * The slug functions are also used by the Node tools
+ * (require('./assets/js/catalog-store.js')).
+ */
+
+(function(root) {
+    // Configuration
+    const CONFIG = {
+        // Path to the JSON file containing game information
+        gamesJsonPath: 'games.json',
+
+        // Path to translations file
+        translationsPath: 'translations.json',
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Catalog Store]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Catalog Store]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Catalog Store]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Catalog Store]', msg)
+    };
+
+    // Slugs taken by routes of the site (/embed/<slug>, the /search and /c/<collection>
+    // routes of router.js, and the /lang/<locale>/ pages of i18n.js): games can't use them.
+    // Checked by tools/catalog-cli.js lint.
+    const RESERVED_SLUGS = ['embed', 'search', 'c', 'lang'];
+
+    // Pending or finished load, shared by every caller
+    let loadPromise = null;
+
+    // Loaded data
+    let catalog = null;
+    let games = [];
+    let translations = null;
+
+    // Lookup indexes
+    let byId = new Map();
+    let bySlug = new Map();
+    let byPath = new Map();
+
+    /**
+     * Create the slug used in game URLs (/bad-ice-cream/)
+     */
+    function createSlug(str) {
+        if (!str) return '';
+
+        return str
+            .toLowerCase()
+            .trim()
+            .replace(/[^\w\s-]/g, '') // Remove special characters
+            .replace(/\s+/g, '-')     // Replace spaces with hyphens
+            .replace(/-+/g, '-')      // Replace multiple hyphens with single hyphen
+            .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+    }
+
+    /**
+     * Convert a string to the older URL-friendly format (/bad-ice-cream), still accepted in URLs
+     */
+    function makeUrlFriendly(str) {
+        if (!str) return '';
+
+        return str
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')  // Replace non-alphanumeric with hyphens
+            .replace(/^-+|-+$/g, '')      // Remove leading/trailing hyphens
+            .trim();
+    }
+
+    /**
+     * Normalize a SWF path for lookups: absolute, and optionally without the query string
+     */
+    function normalizePath(path, stripQuery) {
+        let url = String(path);
+        try {
+            const base = typeof document !== 'undefined' ? document.baseURI : 'https://example.invalid/';
+            url = new URL(url, base).href;
+        } catch (error) {
+            // Keep the path as it is
+        }
+        return stripQuery ? url.replace(/[?#].*$/, '') : url;
+    }
+
+    /**
+     * Build the lookup indexes. The first game wins when two share a slug or path.
+     */
+    function buildIndexes() {
+        byId = new Map();
+        bySlug = new Map();
+        byPath = new Map();
+
+        const add = (map, key, game) => {
+            if (key && !map.has(key)) map.set(key, game);
+        };
+
+        games.forEach(game => {
+            add(byId, game.id.toLowerCase(), game);
+        });
+
+        games.forEach(game => {
+            add(bySlug, createSlug(game.name || game.id), game);
+            add(bySlug, makeUrlFriendly(game.name), game);
+        });
+
+        games.forEach(game => {
+            [...getSourcePaths(game), ...(game.previousPaths || [])].forEach(path => {
+                add(byPath, normalizePath(path, false), game);
+                add(byPath, normalizePath(path, true), game);
+            });
+        });
+    }
+
+    /**
+     * Get the URLs a game's SWF can be loaded from: its path, then its mirrors
+     */
+    function getSourcePaths(game) {
+        return [game.path, ...(game.mirrors || [])];
+    }
+
+    /**
+     * Fetch a JSON file
+     */
+    async function fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url} (${response.status} ${response.statusText})`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Load the catalog and translations. Every call returns the same promise, so each
+     * file is downloaded once; options only apply to the first call.
+     *
+     * options: { gamesJsonPath, translationsPath (null to skip) }
+     * Resolves with { games, translations, catalog }, rejects if games.json can't be loaded
+     * (the next call then tries again).
+     */
+    function load(options = {}) {
+        if (loadPromise) return loadPromise;
+
+        const gamesJsonPath = options.gamesJsonPath || CONFIG.gamesJsonPath;
+        const translationsPath = options.translationsPath === undefined ? CONFIG.translationsPath : options.translationsPath;
+
+        loadPromise = (async () => {
+            const [gamesResult, translationsResult] = await Promise.allSettled([
+                fetchJSON(gamesJsonPath),
+                translationsPath ? fetchJSON(translationsPath) : Promise.resolve(null)
+            ]);
+
+            if (translationsResult.status === 'rejected') {
+                Logger.error(`Error loading translations: ${translationsResult.reason.message}`);
+            } else {
+                translations = translationsResult.value;
+            }
+
+            if (gamesResult.status === 'rejected') {
+                Logger.error(`Error loading games data: ${gamesResult.reason.message}`);
+                throw gamesResult.reason;
+            }
+
+            // Validate against the catalog schema (legacy shapes are accepted with a warning)
+            catalog = root.CatalogSchema.validateCatalog(gamesResult.value);
+            root.CatalogSchema.report(catalog, '[Catalog Store]');
+            games = catalog.games;
+            buildIndexes();
+
+            Logger.info(`Loaded ${games.length} games (${catalog.invalid.length} invalid)`);
+
+            const data = { games: getGames(), translations, catalog };
+            root.dispatchEvent(new CustomEvent('gameDataLoaded', { detail: data }));
+            return data;
+        })();
+
+        // Forget a failed load, so a later call (a host page, the router) can retry
+        const promise = loadPromise;
+        promise.catch(() => {
+            if (loadPromise === promise) loadPromise = null;
+        });
+
+        return loadPromise;
+    }
+
+    /**
+     * Get the valid games, in catalog order
+     */
+    function getGames() {
+        return games.slice();
+    }
+
+    /**
+     * Get the valid games as an object keyed by lowercase id, in catalog order
+     */
+    function getGamesById() {
+        return Object.fromEntries(byId);
+    }
+
+    /**
+     * Find a game by id (case-insensitive)
+     */
+    function getGame(id) {
+        if (!id) return null;
+        return byId.get(String(id).toLowerCase()) || null;
+    }
+
+    /**
+     * Find a game by the slug of its name, in either URL format
+     */
+    function getGameBySlug(slug) {
+        if (!slug) return null;
+        return bySlug.get(createSlug(String(slug))) || bySlug.get(makeUrlFriendly(String(slug))) || null;
+    }
+
+    /**
+     * Find a game by its SWF path, one of its mirrors or one of its previousPaths
+     */
+    function getGameByPath(path) {
+        if (!path) return null;
+        return byPath.get(normalizePath(path, false)) || byPath.get(normalizePath(path, true)) || null;
+    }
+
+    /**
+     * Find the game a URL segment refers to: an id first, then a slug.
+     * This is the one lookup used for URL routing.
+     */
+    function findGame(name) {
+        return getGame(name) || getGameBySlug(name);
+    }
+
+    const CatalogStore = {
+        load,
+        isLoaded: () => catalog !== null,
+        getGames,
+        getGamesById,
+        getGame,
+        getGameBySlug,
+        getGameByPath,
+        findGame,
+        getSourcePaths,
+        getTranslations: () => translations,
+        getCatalog: () => catalog,
+        createSlug,
+        makeUrlFriendly,
+        RESERVED_SLUGS
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CatalogStore;
+    } else {
+        root.CatalogStore = CatalogStore;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,317 @@
+/**
+ * Embed
+ *
+ * Embed mode for fan sites: /embed/<slug> (embed.html) shows only the Ruffle
+ * player and a small attribution bar, so a single game can be put in an iframe
+ * without the navbar. The deep-link parameters of player-options.js
+ * (?quality=low&volume=50&t=3...) work the same as on the main page.
+ *
+ * On the main page this script builds the iframe snippet and an oEmbed-style
+ * JSON description of a game for the share menu (patch1.0.js).
+ */
+
+(function() {
+    console.log('[Embed] Initializing...');
+
+    // Configuration
+    const CONFIG = {
+        // Path of embed URLs, relative to the site root: embed/<slug>
+        routePrefix: 'embed/',
+
+        // Default size of the iframe snippet (the player area)
+        defaultWidth: 800,
+        defaultHeight: 600,
+
+        // Height of the attribution bar, added to the iframe height
+        barHeight: 28,
+
+        // Ruffle settings of the embedded player (site defaults, like script.js sets on the main page).
+        // Browsers block sound in iframes until a click, so Ruffle's unmute overlay is shown.
+        ruffleConfig: {
+            autoplay: 'on',
+            unmuteOverlay: 'visible',
+            backgroundColor: '#000000',
+            letterbox: 'on'
+        },
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Catalog entry of the game in the embed page's player
+    let currentGame = null;
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Embed]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Embed]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Embed]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Embed]', msg)
+    };
+
+    /**
+     * Get a translated string by key, with optional {name} variables (see i18n.js)
+     */
+    function t(key, vars) {
+        return window.I18n.t(key, vars);
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Get the URL of the site root. embed.html and index.html set <base href="/">,
+     * so this is the same on the main page and in the embed route.
+     */
+    function getSiteRoot() {
+        return new URL('./', document.baseURI).href;
+    }
+
+    /**
+     * Get the slug of a game in URLs
+     */
+    function getSlug(game) {
+        return window.CatalogStore.createSlug(game.name || game.id);
+    }
+
+    /**
+     * Get the embed URL of a game, with optional link settings (see player-options.js)
+     */
+    function getEmbedUrl(game, settings) {
+        const url = new URL(`${CONFIG.routePrefix}${getSlug(game)}`, getSiteRoot());
+        window.PlayerOptions.toLinkParams(settings).forEach((value, name) => {
+            url.searchParams.set(name, value);
+        });
+        return url.href;
+    }
+
+    /**
+     * Get the URL of a game on the main page
+     */
+    function getGamePageUrl(game) {
+        return new URL(`${getSlug(game)}/`, getSiteRoot()).href;
+    }
+
+    /**
+     * Get the iframe size for options { width, height }: the player area plus the attribution bar
+     */
+    function getFrameSize(options = {}) {
+        const width = Math.round(Number(options.width)) || CONFIG.defaultWidth;
+        const height = (Math.round(Number(options.height)) || CONFIG.defaultHeight) + CONFIG.barHeight;
+        return { width, height };
+    }
+
+    /**
+     * Build the iframe snippet of a game.
+     * options: { settings (link settings), width, height (of the player area) }
+     */
+    function getEmbedCode(game, options = {}) {
+        const { width, height } = getFrameSize(options);
+        const src = escapeHTML(getEmbedUrl(game, options.settings));
+        const title = escapeHTML(game.name || game.id);
+        return `<iframe src="${src}" width="${width}" height="${height}" title="${title}" style="border: 0;" allow="autoplay; fullscreen; gamepad" allowfullscreen></iframe>`;
+    }
+
+    /**
+     * Build an oEmbed-style description ("rich" type) of a game, with the same options as getEmbedCode()
+     */
+    function getOEmbed(game, options = {}) {
+        const { width, height } = getFrameSize(options);
+        const oembed = {
+            version: '1.0',
+            type: 'rich',
+            title: game.name || game.id,
+            provider_name: t('siteTitle'),
+            provider_url: getSiteRoot(),
+            url: getGamePageUrl(game),
+            html: getEmbedCode(game, options),
+            width,
+            height
+        };
+
+        if (game.thumbnail) {
+            oembed.thumbnail_url = new URL(game.thumbnail, getSiteRoot()).href;
+        }
+
+        return oembed;
+    }
+
+    /**
+     * Get the game named in the embed URL: /embed/<slug>, or embed.html?game=<slug>
+     * on servers without the rewrite rule
+     */
+    function getEmbedGameRef() {
+        const param = new URLSearchParams(window.location.search).get('game');
+        if (param) return param;
+
+        const parts = window.location.pathname.split('/').filter(Boolean);
+        const index = parts.lastIndexOf(CONFIG.routePrefix.replace(/\/$/, ''));
+        return index !== -1 && parts[index + 1] ? decodeURIComponent(parts[index + 1]) : null;
+    }
+
+    /**
+     * Show an error in place of the player, and tell the other modules (see host-api.js)
+     */
+    function showError(container, message, gameId = null) {
+        container.innerHTML = `<div class="error-message">${escapeHTML(message)}</div>`;
+        window.dispatchEvent(new CustomEvent('gameError', { detail: { gameId, message } }));
+    }
+
+    /**
+     * Render the attribution bar: the game (links to its page on the site), the site and Ruffle
+     */
+    function renderBar(game) {
+        const bar = document.querySelector('.embed-bar');
+        if (!bar) return;
+
+        bar.innerHTML = `
+            <a class="embed-game" href="${escapeHTML(getGamePageUrl(game))}" target="_blank" rel="noopener" title="${escapeHTML(t('embedOpenFull'))}">${escapeHTML(game.name || game.id)}</a>
+            <span class="embed-credits">
+                <a href="${escapeHTML(getSiteRoot())}" target="_blank" rel="noopener">${escapeHTML(t('siteTitle'))}</a>
+                ·
+                <a href="https://ruffle.rs/" target="_blank" rel="noopener">Ruffle</a>
+            </span>
+        `;
+    }
+
+    /**
+     * Load a game (id or slug) in the embed page's player, with optional link settings.
+     * Resolves to false when the game isn't in the catalog.
+     */
+    async function loadEmbedGame(gameRef, settings = {}) {
+        const container = document.getElementById('embed-player');
+        if (!container) return false;
+
+        const game = window.CatalogStore.findGame(gameRef);
+        if (!game) {
+            Logger.error(`Game not found: ${gameRef}`);
+            showError(container, `${t('gameNotFound')} ${gameRef || ''}`, gameRef);
+            return false;
+        }
+
+        currentGame = game;
+        document.title = `${game.name || game.id} - ${t('siteTitle')}`;
+        renderBar(game);
+
+        // Apply the redirect rules of this game, once the rules file has loaded
+        if (window.Redirector) {
+            await window.Redirector.ready;
+            window.Redirector.setGameRules(game);
+        }
+
+        if (settings.t) {
+            container.innerHTML = `<div class="loading-message">${escapeHTML(t('startingIn', { game: game.name || game.id, seconds: settings.t }))}</div>`;
+            await new Promise(resolve => setTimeout(resolve, settings.t * 1000));
+
+            // Another game was loaded while waiting
+            if (currentGame !== game) return true;
+        }
+
+        // Controller mappings and touch layout of the game
+        if (window.GamepadInput) {
+            window.GamepadInput.reload(game.id);
+        }
+        if (window.TouchControls) {
+            window.TouchControls.setGame(game);
+            window.TouchControls.setControls(settings.controls || null);
+        }
+
+        // The game's path, or the first mirror that answers (see game-sources.js)
+        let source;
+        try {
+            source = await window.GameSources.resolve(game);
+        } catch (error) {
+            if (currentGame !== game) return true;
+            showError(container, `${t(error.notFound ? 'fileNotFound' : 'errorAccessing')} ${game.name || game.id}`, game.id);
+            return true;
+        }
+        if (currentGame !== game) return true;
+
+        try {
+            window.RufflePlayer = window.RufflePlayer || {};
+            window.RufflePlayer.config = { ...CONFIG.ruffleConfig };
+
+            const player = window.RufflePlayer.newest().createPlayer();
+            player.id = 'ruffle-instance';
+            container.innerHTML = '';
+            container.appendChild(player);
+
+            player.addEventListener('error', (event) => {
+                Logger.error(`Ruffle error: ${event.error}`);
+                showError(container, `${t('failedLoad')} ${event.error}`, game.id);
+            });
+
+            const loaded = player.load({
+                ...window.PlayerOptions.build(game, window.PlayerOptions.toRuffleOptions(settings)),
+                url: source.url
+            });
+
+            // Ruffle has no volume load option, so the link's volume is set once the game has loaded.
+            // A failed load is reported by the error listener above.
+            if (settings.muted || settings.volume !== undefined) {
+                loaded.then(() => {
+                    player.volume = settings.muted ? 0 : settings.volume / 100;
+                }).catch(() => {});
+            }
+
+            Logger.info(`Embedded ${game.id}`);
+            window.dispatchEvent(new CustomEvent('gameLoaded', { detail: { game } }));
+        } catch (error) {
+            Logger.error(`Failed to initialize Ruffle player: ${error.message}`);
+            showError(container, `${t('failedInit')} ${error.message}`, game.id);
+        }
+        return true;
+    }
+
+    /**
+     * Load the game of the embed URL in the embed page's player
+     */
+    async function startEmbed() {
+        const container = document.getElementById('embed-player');
+        if (!container) return;
+
+        // Same contract as script.js on the main page, for the other modules
+        window.getCurrentGame = () => currentGame ? currentGame.id : null;
+        window.addEventListener('languageChanged', () => {
+            if (currentGame) renderBar(currentGame);
+        });
+
+        await window.I18n.ready;
+
+        const ref = getEmbedGameRef();
+        try {
+            await window.CatalogStore.load();
+        } catch (error) {
+            showError(container, t('errorLoadGame', { game: ref || '' }), ref);
+            return;
+        }
+
+        // The deep-link parameters, validated like on the main page
+        const { settings, errors } = window.PlayerOptions.parseLinkSettings(window.location.search);
+        errors.forEach(error => Logger.warn(error));
+
+        await loadEmbedGame(ref, settings);
+    }
+
+    // Start when the DOM is ready (embed.html only)
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', startEmbed);
+    } else {
+        startEmbed();
+    }
+
+    // Export API to window for external access
+    window.GameEmbed = {
+        loadGame: (gameRef) => loadEmbedGame(gameRef),
+        getEmbedUrl,
+        getEmbedCode,
+        getOEmbed,
+        getGamePageUrl
+    };
+})();
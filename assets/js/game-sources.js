@@ -0,0 +1,200 @@
+/**
+ * Game Sources
+ *
+ * Picks the URL a game's SWF is loaded from. A catalog entry may list
+ * "mirrors" next to its "path" (a copy on archive.org, a folder of this
+ * site...), and the sources are checked in that order with HEAD requests.
+ *
+ * Errors that may go away (network errors, timeouts, HTTP 408, 425, 429 and
+ * 5xx) are retried with exponential backoff. The others (404, an HTML page instead
+ * of the SWF, an empty file) fail over to the next source at once.
+ *
+ * Used by script.js and embed.js before the player is created, and by
+ * offline.js to download a game.
+ */
+
+(function() {
+    console.log('[Game Sources] Initializing...');
+
+    // Configuration
+    const CONFIG = {
+        // Retries of a source after its first attempt, for errors that may go away
+        maxRetries: 3,
+
+        // Delay before the first retry in milliseconds, doubled for each retry after it
+        retryDelay: 1000,
+
+        // Give up on a request after this many milliseconds
+        timeout: 10000,
+
+        // HTTP statuses worth retrying, besides 5xx
+        retryStatuses: [408, 425, 429],
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Game Sources]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Game Sources]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Game Sources]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Game Sources]', msg)
+    };
+
+    /**
+     * Get a translated string by key, with optional {name} variables (see i18n.js)
+     */
+    function t(key, vars) {
+        return window.I18n.t(key, vars);
+    }
+
+    /**
+     * Get the sources of a game, in the order they are tried:
+     * [{ url (absolute), index (0 for path, 1+ for mirrors), host, local }]
+     */
+    function getSources(game) {
+        return window.CatalogStore.getSourcePaths(game).map((path, index) => {
+            const url = new URL(path, document.baseURI);
+            return {
+                url: url.href,
+                index,
+                host: url.hostname,
+                local: url.origin === window.location.origin
+            };
+        });
+    }
+
+    /**
+     * Get the label of a source for the info panel: "cdn.xperia.pt", "archive.org (mirror 1)"
+     */
+    function getSourceLabel(source) {
+        const name = source.local ? t('sourceLocal') : source.host.replace(/^www\./, '');
+        return source.index === 0 ? name : t('sourceMirror', { source: name, number: source.index });
+    }
+
+    /**
+     * Wait for a delay, or until the signal is aborted
+     */
+    function wait(delay, signal) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, delay);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Check one source with a HEAD request.
+     * Returns { ok, status, problem, retryable }.
+     */
+    async function checkSource(url, signal) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONFIG.timeout);
+        const abort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', abort, { once: true });
+
+        try {
+            const response = await fetch(url, { method: 'HEAD', cache: 'no-store', signal: controller.signal });
+            const type = response.headers.get('content-type') || '';
+
+            if (!response.ok) {
+                const retryable = response.status >= 500 || CONFIG.retryStatuses.includes(response.status);
+                return { ok: false, status: response.status, problem: `HTTP ${response.status}`, retryable };
+            }
+            // A "soft 404": the server answers with a page instead of the file
+            if (type.toLowerCase().startsWith('text/html')) {
+                return { ok: false, status: response.status, problem: `Unexpected content type ${type}`, retryable: false };
+            }
+            if (response.headers.get('content-length') === '0') {
+                return { ok: false, status: response.status, problem: 'Empty file', retryable: false };
+            }
+            return { ok: true, status: response.status, problem: null, retryable: false };
+        } catch (error) {
+            const timedOut = error.name === 'AbortError' && !(signal && signal.aborted);
+            return {
+                ok: false,
+                status: null,
+                problem: timedOut ? `Timed out after ${CONFIG.timeout}ms` : `Network error: ${error.message}`,
+                retryable: true
+            };
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Find the first source of a game that can be loaded, retrying and failing over.
+     *
+     * options: {
+     *   signal: AbortSignal to stop (another game was picked),
+     *   onRetry(source, attempt, delay): before a source is tried again,
+     *   onFailover(source, next): when a source is given up for the next one
+     * }
+     *
+     * Resolves with the source and { attempts, failures: [{ url, problem, status }] },
+     * or null when stopped. Rejects when no source works: the error has the failures,
+     * and "notFound" when every source answered 404.
+     */
+    async function resolve(game, options = {}) {
+        const sources = getSources(game);
+        const failures = [];
+        let attempts = 0;
+
+        for (let i = 0; i < sources.length; i++) {
+            const source = sources[i];
+
+            for (let retry = 0; retry <= CONFIG.maxRetries; retry++) {
+                if (retry > 0) {
+                    const delay = CONFIG.retryDelay * 2 ** (retry - 1);
+                    Logger.info(`Retrying ${source.url} in ${delay}ms (${retry}/${CONFIG.maxRetries})`);
+                    if (options.onRetry) options.onRetry(source, retry, delay);
+                    await wait(delay, options.signal);
+                }
+                if (options.signal && options.signal.aborted) return null;
+
+                attempts++;
+                const result = await checkSource(source.url, options.signal);
+                if (options.signal && options.signal.aborted) return null;
+
+                if (result.ok) {
+                    if (i > 0 || retry > 0) {
+                        Logger.info(`${game.id} loads from ${source.url} after ${attempts} attempt(s)`);
+                    }
+                    return { ...source, attempts, failures };
+                }
+
+                Logger.warn(`${source.url}: ${result.problem}`);
+                failures.push({ url: source.url, problem: result.problem, status: result.status });
+
+                // Offline, only the games cache of the service worker answers, retrying won't help
+                if (!result.retryable || navigator.onLine === false) break;
+            }
+
+            if (i < sources.length - 1) {
+                Logger.info(`Failing over from ${source.url} to ${sources[i + 1].url}`);
+                if (options.onFailover) options.onFailover(source, sources[i + 1]);
+            }
+        }
+
+        const error = new Error(`No source of ${game.id} could be loaded: ${failures.map(failure => `${failure.url} (${failure.problem})`).join(', ')}`);
+        error.failures = failures;
+        error.notFound = failures.every(failure => failure.status === 404);
+        Logger.error(error.message);
+        throw error;
+    }
+
+    // Export API to window for external access
+    window.GameSources = {
+        getSources,
+        getSourceLabel,
+        checkSource,
+        resolve,
+        getConfig: () => ({ ...CONFIG })
+    };
+})();
@@ -0,0 +1,444 @@
+/**
+ * Gamepad Input
+ *
+ * Plays keyboard games with controllers: the Gamepad API is polled and button
+ * and stick changes are sent to the Ruffle player as keydown/keyup events
+ * (with key-input.js, shared with touch-controls.js).
+ *
+ * Each connected pad is a player. Pad 1 and pad 2 have separate mappings, so two
+ * people can share the screen in games like Bad Ice Cream. A mapping binds
+ * controller inputs to KeyboardEvent codes:
+ *
+ *   { "up": "ArrowUp", "down": "ArrowDown", "left": "ArrowLeft", "right": "ArrowRight", "a": "Space" }
+ *
+ * Mappings are merged per player, later ones win:
+ *   1. CONFIG.defaultMappings (site defaults)
+ *   2. The user's mapping for all games
+ *   3. The game's "gamepad" entry in games.json
+ *   4. The user's mapping for the game
+ */
+
+(function() {
+    console.log('[Gamepad] Initializing...');
+
+    // Configuration
+    const CONFIG = {
+        // One mapping per player (pad 1, pad 2)
+        defaultMappings: [
+            {
+                up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+                a: 'Space', b: 'KeyZ', x: 'KeyX', y: 'KeyC', start: 'Enter', select: 'KeyP'
+            },
+            {
+                up: 'KeyW', down: 'KeyS', left: 'KeyA', right: 'KeyD',
+                a: 'KeyF', b: 'KeyG', x: 'KeyR', y: 'KeyT'
+            }
+        ],
+
+        // Stick position that counts as a direction (0-1)
+        stickThreshold: 0.5,
+
+        // Trigger position that counts as pressed (0-1)
+        triggerThreshold: 0.5,
+
+        // localStorage key of the user's mappings ({ "*": [...], "<gameId>": [...] })
+        storageKey: 'gamepadMappings',
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Gamepad]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Gamepad]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Gamepad]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Gamepad]', msg)
+    };
+
+    // Button indexes of the standard gamepad layout
+    const BUTTONS = {
+        a: 0, b: 1, x: 2, y: 3, lb: 4, rb: 5, lt: 6, rt: 7,
+        select: 8, start: 9, up: 12, down: 13, left: 14, right: 15
+    };
+
+    // Key used for the user's mapping that applies to every game
+    const ALL_GAMES = '*';
+
+    // Game the mappings are for (null for local files), and its mappings, one per player
+    let mappedGameId = null;
+    let mappings = [];
+
+    // Key codes held down, and the element they were sent to
+    let heldKeys = new Set();
+    let keyTarget = null;
+
+    let polling = false;
+
+    /**
+     * Get a translated string by key, with optional {name} variables (see i18n.js)
+     */
+    function t(key, vars) {
+        return window.I18n.t(key, vars);
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Read the user's mappings from localStorage
+     */
+    function loadUserMappings() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.storageKey)) || {};
+        } catch (error) {
+            Logger.warn(`Ignoring invalid user mappings: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Save the user's mappings to localStorage
+     */
+    function saveUserMappings(userMappings) {
+        localStorage.setItem(CONFIG.storageKey, JSON.stringify(userMappings));
+    }
+
+    /**
+     * Get the mappings for a game, one per player. An empty string unbinds an input.
+     */
+    function getMappings(gameId) {
+        const game = window.CatalogStore.getGame(gameId);
+        const userMappings = loadUserMappings();
+        const layers = [
+            CONFIG.defaultMappings,
+            userMappings[ALL_GAMES],
+            game && game.gamepad,
+            gameId ? userMappings[gameId] : null
+        ];
+
+        const players = Math.max(...layers.map(layer => (layer ? layer.length : 0)));
+        return Array.from({ length: players }, (_, index) => {
+            const mapping = Object.assign({}, ...layers.map(layer => (layer && layer[index]) || {}));
+            Object.keys(mapping).forEach(input => {
+                if (!mapping[input]) delete mapping[input];
+            });
+            return mapping;
+        });
+    }
+
+    /**
+     * Change the key an input sends for a player, for one game or for all games (gameId null)
+     */
+    function setUserMapping(gameId, player, input, code) {
+        if (!window.CatalogSchema.GAMEPAD_INPUTS.includes(input)) {
+            throw new Error(`Unknown gamepad input: ${input}`);
+        }
+
+        const userMappings = loadUserMappings();
+        const key = gameId || ALL_GAMES;
+        const players = userMappings[key] || [];
+        while (players.length <= player) players.push({});
+        players[player][input] = code || '';
+        userMappings[key] = players;
+        saveUserMappings(userMappings);
+
+        reloadMappings(mappedGameId);
+    }
+
+    /**
+     * Remove the user's mappings for one game, or for all games (gameId null)
+     */
+    function resetUserMappings(gameId) {
+        const userMappings = loadUserMappings();
+        delete userMappings[gameId || ALL_GAMES];
+        saveUserMappings(userMappings);
+
+        reloadMappings(mappedGameId);
+    }
+
+    /**
+     * Get the game that is playing, if any
+     */
+    function getCurrentGameId() {
+        return typeof window.getCurrentGame === 'function' ? window.getCurrentGame() : null;
+    }
+
+    /**
+     * Use the mappings of a game (by default the one that is playing).
+     * Called by script.js when a game or a local file is loaded.
+     */
+    function reloadMappings(gameId = getCurrentGameId()) {
+        releaseKeys();
+        mappedGameId = gameId || null;
+        mappings = getMappings(mappedGameId);
+        Logger.debug(`Mappings for ${mappedGameId || 'local file'}: ${JSON.stringify(mappings)}`);
+    }
+
+    /**
+     * Get the connected pads in player order
+     */
+    function getPads() {
+        const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        return pads.filter(pad => pad && pad.connected);
+    }
+
+    /**
+     * Check whether an input is held on a pad (d-pad or left stick for directions)
+     */
+    function isPressed(pad, input) {
+        const button = pad.buttons[BUTTONS[input]];
+        if (button) {
+            const threshold = input === 'lt' || input === 'rt' ? CONFIG.triggerThreshold : 0.5;
+            if (button.pressed || button.value >= threshold) return true;
+        }
+
+        const [x = 0, y = 0] = pad.axes;
+        switch (input) {
+            case 'up': return y <= -CONFIG.stickThreshold;
+            case 'down': return y >= CONFIG.stickThreshold;
+            case 'left': return x <= -CONFIG.stickThreshold;
+            case 'right': return x >= CONFIG.stickThreshold;
+            default: return false;
+        }
+    }
+
+    /**
+     * Release every held key, e.g. when the game changes
+     */
+    function releaseKeys() {
+        if (keyTarget && keyTarget.isConnected) {
+            heldKeys.forEach(code => window.KeyInput.sendKey(keyTarget, 'keyup', code));
+        }
+        heldKeys = new Set();
+        keyTarget = null;
+    }
+
+    /**
+     * Read every pad and send the keys that changed since the last frame.
+     * Two inputs bound to the same key send it once.
+     */
+    function poll() {
+        const pads = getPads();
+        if (pads.length === 0) {
+            releaseKeys();
+            polling = false;
+            return;
+        }
+
+        const target = window.KeyInput.getKeyTarget();
+        if (target !== keyTarget) {
+            releaseKeys();
+            keyTarget = target;
+        }
+
+        if (target) {
+            const keys = new Set();
+            pads.forEach((pad, player) => {
+                const mapping = mappings[player] || {};
+                Object.entries(mapping).forEach(([input, code]) => {
+                    if (isPressed(pad, input)) keys.add(code);
+                });
+            });
+
+            if (keys.size > 0 && heldKeys.size === 0) {
+                // Ruffle only reads keys while it has focus
+                const player = target.getRootNode().host || target;
+                if (document.activeElement !== player && typeof player.focus === 'function') {
+                    player.focus({ preventScroll: true });
+                }
+            }
+
+            heldKeys.forEach(code => {
+                if (!keys.has(code)) window.KeyInput.sendKey(target, 'keyup', code);
+            });
+            keys.forEach(code => {
+                if (!heldKeys.has(code)) window.KeyInput.sendKey(target, 'keydown', code);
+            });
+            heldKeys = keys;
+        }
+
+        requestAnimationFrame(poll);
+    }
+
+    /**
+     * Start polling while at least one pad is connected
+     */
+    function startPolling() {
+        if (polling) return;
+        polling = true;
+        requestAnimationFrame(poll);
+    }
+
+    /**
+     * Render the gamepad panel: connected pads and the mapping of each player
+     */
+    function renderPanel() {
+        const panel = document.getElementById('gamepad-panel');
+        if (!panel || panel.hidden) return;
+
+        const game = window.CatalogStore.getGame(mappedGameId);
+        const pads = getPads();
+        const players = Math.max(mappings.length, CONFIG.defaultMappings.length);
+        const capturing = panel.dataset.capturing || '';
+
+        const playersHTML = Array.from({ length: players }, (_, player) => {
+            const mapping = mappings[player] || {};
+            const pad = pads[player];
+
+            const rows = window.CatalogSchema.GAMEPAD_INPUTS.map(input => {
+                const id = `${player}:${input}`;
+                const label = id === capturing ? t('gamepadPressKey') : (mapping[input] || '-');
+                return `
+                    <tr>
+                        <td>${t(`gamepadInput${input.charAt(0).toUpperCase()}${input.slice(1)}`)}</td>
+                        <td><button class="gamepad-action gamepad-key${id === capturing ? ' gamepad-capturing' : ''}" data-action="bind" data-player="${player}" data-input="${input}">${escapeHTML(label)}</button></td>
+                    </tr>
+                `;
+            }).join('');
+
+            return `
+                <div class="gamepad-player">
+                    <h4>${t('gamepadPlayer', { number: player + 1 })}</h4>
+                    <p class="gamepad-pad">${pad ? escapeHTML(pad.id) : t('gamepadNotConnected')}</p>
+                    <table class="gamepad-table">${rows}</table>
+                </div>
+            `;
+        }).join('');
+
+        panel.innerHTML = `
+            <h3>${t('gamepadTitle')}</h3>
+            <p class="gamepad-scope">${game ? escapeHTML(game.name) : t('gamepadAllGames')}</p>
+            <div class="gamepad-players">${playersHTML}</div>
+            <div class="gamepad-buttons">
+                <button class="gamepad-action" data-action="reset">${t('gamepadReset')}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Bind the next key pressed to the input being edited
+     */
+    function captureKey(event) {
+        const panel = document.getElementById('gamepad-panel');
+        if (!panel || !panel.dataset.capturing) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        const [player, input] = panel.dataset.capturing.split(':');
+        delete panel.dataset.capturing;
+
+        if (event.code === 'Escape') {
+            renderPanel();
+            return;
+        }
+
+        // Backspace and Delete unbind the input
+        const code = event.code === 'Backspace' || event.code === 'Delete' ? '' : event.code;
+        setUserMapping(mappedGameId, parseInt(player, 10), input, code);
+        Logger.info(`Player ${parseInt(player, 10) + 1} ${input} -> ${code || '(none)'}`);
+        renderPanel();
+    }
+
+    /**
+     * Create the gamepad button and panel
+     */
+    function createPanel() {
+        const infoButtonContainer = document.querySelector('.info-button');
+        if (!infoButtonContainer || document.getElementById('gamepad-btn')) return;
+
+        const button = document.createElement('button');
+        button.id = 'gamepad-btn';
+        button.textContent = '🎮';
+        button.title = t('gamepadTitle');
+        infoButtonContainer.prepend(button);
+
+        const panel = document.createElement('div');
+        panel.id = 'gamepad-panel';
+        panel.className = 'gamepad-panel';
+        panel.hidden = true;
+        document.body.appendChild(panel);
+
+        button.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            delete panel.dataset.capturing;
+            renderPanel();
+        });
+
+        panel.addEventListener('click', (event) => {
+            const actionButton = event.target.closest('.gamepad-action');
+            if (!actionButton) return;
+
+            switch (actionButton.dataset.action) {
+                case 'bind':
+                    panel.dataset.capturing = `${actionButton.dataset.player}:${actionButton.dataset.input}`;
+                    renderPanel();
+                    break;
+
+                case 'reset':
+                    resetUserMappings(mappedGameId);
+                    renderPanel();
+                    break;
+            }
+        });
+
+        // Capture before the page and the player see the key
+        window.addEventListener('keydown', captureKey, true);
+    }
+
+    /**
+     * Initialize the gamepad layer
+     */
+    function initialize() {
+        createPanel();
+        reloadMappings();
+
+        window.addEventListener('gamepadconnected', (event) => {
+            Logger.info(`Pad ${event.gamepad.index + 1} connected: ${event.gamepad.id}`);
+            startPolling();
+            renderPanel();
+        });
+
+        window.addEventListener('gamepaddisconnected', (event) => {
+            Logger.info(`Pad ${event.gamepad.index + 1} disconnected: ${event.gamepad.id}`);
+            renderPanel();
+        });
+
+        // Each game has its own mappings
+        window.addEventListener('gameLoaded', (event) => {
+            reloadMappings(event.detail && event.detail.game ? event.detail.game.id : undefined);
+            renderPanel();
+        });
+        window.addEventListener('gameDataLoaded', () => reloadMappings(mappedGameId));
+        window.addEventListener('languageChanged', renderPanel);
+
+        // Pads connected before the page loaded
+        if (getPads().length > 0) {
+            startPolling();
+        }
+    }
+
+    // Start when the DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+        initialize();
+    }
+
+    // Export API to window for external access
+    window.GamepadInput = {
+        getMappings,
+        setUserMapping,
+        resetUserMappings,
+        getPads,
+        reload: reloadMappings,
+        getCurrentMappings: () => mappings.map(mapping => ({ ...mapping }))
+    };
+})();
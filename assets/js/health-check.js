@@ -0,0 +1,170 @@
+/**
+ * Health Check
+ *
+ * Checks that the SWF of every catalog entry can be downloaded by the player.
+ * Sends HEAD requests with a bounded number in flight and records, per game,
+ * the HTTP status, content length, content type, CORS result and latency.
+ * Used by health.html and by scanGameFiles() in script.js.
+ */
+
+(function() {
+    // Configuration
+    const CONFIG = {
+        // Number of requests in flight at the same time
+        concurrency: 6,
+
+        // Give up on a request after this many milliseconds
+        timeout: 15000,
+
+        // Content types a SWF may be served with
+        swfContentTypes: ['application/x-shockwave-flash', 'application/vnd.adobe.flash.movie', 'application/octet-stream'],
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Health Check]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Health Check]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Health Check]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Health Check]', msg)
+    };
+
+    /**
+     * fetch() with a timeout
+     */
+    async function fetchWithTimeout(url, options, timeout) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Check a single game.
+     *
+     * Returns {
+     *   id, name, path, ok,
+     *   status, statusText, contentLength, contentType,
+     *   cors: 'ok' | 'blocked' | 'n/a',
+     *   latency (ms), problems: [string], checkedAt
+     * }
+     */
+    async function checkGame(game, options = {}) {
+        const timeout = options.timeout || CONFIG.timeout;
+        const result = {
+            id: game.id,
+            name: game.name,
+            path: game.path,
+            ok: false,
+            status: null,
+            statusText: '',
+            contentLength: null,
+            contentType: null,
+            cors: 'n/a',
+            latency: null,
+            problems: [],
+            checkedAt: new Date().toISOString()
+        };
+
+        const start = performance.now();
+        try {
+            const response = await fetchWithTimeout(game.path, { method: 'HEAD', mode: 'cors', cache: 'no-store' }, timeout);
+            result.latency = Math.round(performance.now() - start);
+            result.status = response.status;
+            result.statusText = response.statusText;
+            result.cors = 'ok';
+
+            const length = response.headers.get('content-length');
+            result.contentLength = length !== null ? parseInt(length, 10) : null;
+            result.contentType = response.headers.get('content-type');
+
+            if (!response.ok) {
+                result.problems.push(`HTTP ${response.status}`);
+            }
+            if (response.ok && result.contentType && !CONFIG.swfContentTypes.some(type => result.contentType.toLowerCase().startsWith(type))) {
+                result.problems.push(`Unexpected content type ${result.contentType}`);
+            }
+            if (result.contentLength === 0) {
+                result.problems.push('Empty file');
+            }
+        } catch (error) {
+            result.latency = Math.round(performance.now() - start);
+
+            if (error.name === 'AbortError') {
+                result.problems.push(`Timed out after ${timeout}ms`);
+            } else {
+                // A CORS failure and a network failure look the same to fetch().
+                // If an opaque request gets through, the server is up but does not allow CORS.
+                try {
+                    await fetchWithTimeout(game.path, { method: 'HEAD', mode: 'no-cors', cache: 'no-store' }, timeout);
+                    result.cors = 'blocked';
+                    result.problems.push('CORS blocked (Ruffle cannot load it from this origin)');
+                } catch (secondError) {
+                    result.problems.push(`Network error: ${error.message}`);
+                }
+            }
+        }
+
+        result.ok = result.problems.length === 0;
+        Logger.debug(`${game.id}: ${result.ok ? 'ok' : result.problems.join(', ')}`);
+        return result;
+    }
+
+    /**
+     * Check a list of games with at most `concurrency` requests in flight.
+     * `onResult(result, index)` is called as each game finishes.
+     * Results are returned in catalog order.
+     */
+    async function checkGames(games, options = {}) {
+        const concurrency = Math.max(1, options.concurrency || CONFIG.concurrency);
+        const results = new Array(games.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < games.length) {
+                if (options.signal && options.signal.aborted) return;
+
+                const index = next++;
+                results[index] = await checkGame(games[index], options);
+                if (options.onResult) {
+                    options.onResult(results[index], index);
+                }
+            }
+        };
+
+        Logger.info(`Checking ${games.length} games (${concurrency} at a time)...`);
+        await Promise.all(Array.from({ length: Math.min(concurrency, games.length) }, worker));
+
+        const finished = results.filter(Boolean);
+        Logger.info(`Checked ${finished.length} games, ${finished.filter(result => !result.ok).length} broken`);
+        return finished;
+    }
+
+    /**
+     * Convert results to CSV
+     */
+    function toCSV(results) {
+        const columns = ['id', 'name', 'path', 'ok', 'status', 'contentLength', 'contentType', 'cors', 'latency', 'problems', 'checkedAt'];
+        const escape = (value) => {
+            const text = Array.isArray(value) ? value.join('; ') : (value === null || value === undefined ? '' : String(value));
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            columns.join(','),
+            ...results.map(result => columns.map(column => escape(result[column])).join(','))
+        ].join('\r\n');
+    }
+
+    // Export API to window for external access
+    window.HealthCheck = {
+        checkGame,
+        checkGames,
+        toCSV
+    };
+})();
@@ -0,0 +1,210 @@
+/**
+ * Catalog Health Page
+ *
+ * UI for health.html: runs HealthCheck over every catalog entry, shows the
+ * results in a table with broken entries highlighted, and exports them as JSON or CSV.
+ *
+ * The catalog can be changed with ?catalog=<url>, e.g. to test against the
+ * mock CDN started by tools/mock-cdn.js (health.html?catalog=/mock/catalog.json).
+ *
+ * The page is translated with i18n.js: elements with a data-i18n attribute get
+ * the string of that key. The problems column keeps the messages of
+ * health-check.js, which are also what the exports contain.
+ */
+
+(function() {
+    // Configuration
+    const CONFIG = {
+        // Catalog checked when no ?catalog= parameter is given
+        defaultCatalog: 'games.json'
+    };
+
+    let games = [];
+    let results = [];
+    let running = false;
+
+    // Start loading the catalog before i18n.js asks CatalogStore for the translations,
+    // so the ?catalog= file is the one loaded (health.html includes this script first)
+    const catalogUrl = new URLSearchParams(window.location.search).get('catalog') || CONFIG.defaultCatalog;
+    const catalogLoad = window.CatalogStore.load({ gamesJsonPath: catalogUrl });
+
+    /**
+     * Get a translated string by key, with optional {name} variables (see i18n.js)
+     */
+    function t(key, vars) {
+        return window.I18n.t(key, vars);
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Format a byte count for display
+     */
+    function formatBytes(bytes) {
+        if (bytes === null || bytes === undefined) return '-';
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Translate the static text of the page (elements with data-i18n) and its title
+     */
+    function translatePage() {
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        document.title = `${t('healthTitle')} - ${t('siteTitle')}`;
+    }
+
+    /**
+     * Get the label of a CORS result (ok, blocked, n/a)
+     */
+    function getCorsLabel(cors) {
+        return { ok: t('healthCorsOk'), blocked: t('healthCorsBlocked') }[cors] || t('healthCorsNone');
+    }
+
+    /**
+     * Render the summary line
+     */
+    function renderSummary() {
+        const summary = document.getElementById('health-summary');
+        const checked = results.filter(Boolean);
+        const broken = checked.filter(result => !result.ok);
+        const latencies = checked.map(result => result.latency).filter(latency => latency !== null).sort((a, b) => a - b);
+        const median = latencies.length ? latencies[Math.floor(latencies.length / 2)] : null;
+
+        summary.innerHTML = `
+            <span>${escapeHTML(t('healthGames', { count: games.length }))}</span>
+            <span>${escapeHTML(t('healthChecked', { count: checked.length }))}</span>
+            <span class="health-ok">${escapeHTML(t('healthOk', { count: checked.length - broken.length }))}</span>
+            <span class="health-broken">${escapeHTML(t('healthBroken', { count: broken.length }))}</span>
+            ${median !== null ? `<span>${escapeHTML(t('healthMedianLatency', { ms: median }))}</span>` : ''}
+            ${running ? `<span>${escapeHTML(t('healthRunning'))}</span>` : ''}
+        `;
+    }
+
+    /**
+     * Render one table row
+     */
+    function renderRow(game, result) {
+        if (!result) {
+            return `
+                <tr class="health-pending">
+                    <td title="${escapeHTML(game.path)}">${escapeHTML(game.name)}</td>
+                    <td colspan="6">-</td>
+                </tr>
+            `;
+        }
+
+        return `
+            <tr class="${result.ok ? 'health-row-ok' : 'health-row-broken'}">
+                <td title="${escapeHTML(result.path)}">${escapeHTML(result.name)}</td>
+                <td>${escapeHTML(result.status === null ? '-' : `${result.status} ${result.statusText}`)}</td>
+                <td>${formatBytes(result.contentLength)}</td>
+                <td>${escapeHTML(result.contentType || '-')}</td>
+                <td>${escapeHTML(getCorsLabel(result.cors))}</td>
+                <td>${result.latency === null ? '-' : `${result.latency}ms`}</td>
+                <td>${escapeHTML(result.problems.join('; '))}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Render the results table
+     */
+    function renderTable() {
+        const brokenOnly = document.getElementById('health-broken-only').checked;
+        const tbody = document.getElementById('health-results');
+
+        tbody.innerHTML = games
+            .map((game, index) => ({ game, result: results[index] }))
+            .filter(({ result }) => !brokenOnly || (result && !result.ok))
+            .map(({ game, result }) => renderRow(game, result))
+            .join('');
+
+        renderSummary();
+    }
+
+    /**
+     * Run the health check over the whole catalog
+     */
+    async function runCheck() {
+        if (running) return;
+        running = true;
+        results = new Array(games.length);
+
+        document.getElementById('health-run').disabled = true;
+        document.getElementById('health-export-json').disabled = true;
+        document.getElementById('health-export-csv').disabled = true;
+        renderTable();
+
+        const concurrency = parseInt(document.getElementById('health-concurrency').value, 10) || 6;
+        await window.HealthCheck.checkGames(games, {
+            concurrency,
+            onResult: (result, index) => {
+                results[index] = result;
+                renderTable();
+            }
+        });
+
+        running = false;
+        document.getElementById('health-run').disabled = false;
+        document.getElementById('health-export-json').disabled = false;
+        document.getElementById('health-export-csv').disabled = false;
+        renderTable();
+    }
+
+    /**
+     * Download the results as a file
+     */
+    function download(content, type, extension) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `catalog-health-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Initialize the page
+     */
+    async function initialize() {
+        document.getElementById('health-run').addEventListener('click', runCheck);
+        document.getElementById('health-broken-only').addEventListener('change', renderTable);
+        document.getElementById('health-export-json').addEventListener('click', () => {
+            download(JSON.stringify(results.filter(Boolean), null, 2), 'application/json', 'json');
+        });
+        document.getElementById('health-export-csv').addEventListener('click', () => {
+            download(window.HealthCheck.toCSV(results.filter(Boolean)), 'text/csv', 'csv');
+        });
+
+        await window.I18n.ready;
+        translatePage();
+
+        try {
+            ({ games } = await catalogLoad);
+            renderTable();
+        } catch (error) {
+            console.error('[Catalog Health]', error);
+            document.getElementById('health-summary').textContent = error.message;
+            document.getElementById('health-run').disabled = true;
+        }
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+        initialize();
+    }
+})();
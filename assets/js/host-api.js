@@ -0,0 +1,298 @@
+/**
+ * Host API
+ *
+ * postMessage protocol that lets the page embedding the player in an iframe
+ * (embed.html, or the main page) control it: list and load games, pause and
+ * resume, change the volume, toggle fullscreen, and subscribe to the
+ * "gameLoaded", "error" and "playTime" events.
+ *
+ * Every message carries { protocol: 'ruffle-games', version: 1 }, so the
+ * protocol can change without breaking older host pages. Messages are only
+ * accepted from the origins in CONFIG.allowedOrigins (and the site's own).
+ * See docs/host-api.md for the message formats.
+ */
+
+(function() {
+    console.log('[Host API] Initializing...');
+
+    // Configuration
+    const CONFIG = {
+        // Protocol name and version carried by every message
+        protocol: 'ruffle-games',
+        version: 1,
+
+        // Origins of the pages allowed to control the player: 'https://fansite.example',
+        // or a wildcard subdomain 'https://*.example.org'. The site's own origin is always allowed.
+        allowedOrigins: [],
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Host API]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Host API]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Host API]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Host API]', msg)
+    };
+
+    // Events a host page can subscribe to
+    const EVENTS = ['gameLoaded', 'error', 'playTime'];
+
+    // Subscribed host windows: source window -> { origin, events (Set) }
+    const subscribers = new Map();
+
+    /**
+     * Build an error with a code for the host page (unknownCommand, gameNotFound...)
+     */
+    function commandError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Check whether an origin may send commands: the site's own origin, or one of CONFIG.allowedOrigins
+     */
+    function isAllowedOrigin(origin) {
+        if (!origin || origin === 'null') return false;
+        if (origin === window.location.origin) return true;
+
+        return CONFIG.allowedOrigins.some(pattern => {
+            if (!pattern.includes('*')) return pattern === origin;
+
+            // https://*.example.org matches any subdomain, not example.org itself
+            const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+            return new RegExp(`^${escaped.join('[^./]+(?:\\.[^./]+)*')}$`).test(origin);
+        });
+    }
+
+    /**
+     * Get the Ruffle player, or fail when no game is loaded
+     */
+    function getPlayer() {
+        const player = document.getElementById('ruffle-instance');
+        if (!player) throw commandError('noPlayer', 'No game is loaded');
+        return player;
+    }
+
+    /**
+     * Get the id of the game in the player
+     */
+    function getCurrentGameId() {
+        return typeof window.getCurrentGame === 'function' ? window.getCurrentGame() : null;
+    }
+
+    /**
+     * Get the state of the player: { gameId, playing, volume (0-100), fullscreen }
+     */
+    function getState() {
+        const player = document.getElementById('ruffle-instance');
+        return {
+            gameId: getCurrentGameId(),
+            playing: player ? Boolean(player.isPlaying) : false,
+            volume: player && typeof player.volume === 'number' ? Math.round(player.volume * 100) : null,
+            fullscreen: player ? Boolean(player.isFullscreen) : false
+        };
+    }
+
+    /**
+     * Get the events named in a subscribe/unsubscribe message (all of them when none are named)
+     */
+    function getEventNames(message) {
+        if (message.events === undefined) return EVENTS;
+
+        const events = Array.isArray(message.events) ? message.events : [message.events];
+        const unknown = events.filter(name => !EVENTS.includes(name));
+        if (unknown.length) {
+            throw commandError('invalidParams', `Unknown event: ${unknown.join(', ')}. Expected ${EVENTS.join(', ')}`);
+        }
+        return events;
+    }
+
+    // Commands: type -> handler(message, source, origin), returning the result (or a promise of it)
+    const COMMANDS = {
+        hello: () => ({
+            protocol: CONFIG.protocol,
+            version: CONFIG.version,
+            commands: Object.keys(COMMANDS),
+            events: EVENTS,
+            state: getState()
+        }),
+
+        listGames: async () => {
+            await window.CatalogStore.load();
+            return window.CatalogStore.getGames().map(game => ({
+                id: game.id,
+                name: game.name || game.id,
+                slug: window.CatalogStore.createSlug(game.name || game.id)
+            }));
+        },
+
+        loadGame: async (message) => {
+            if (typeof message.gameId !== 'string' || !message.gameId) {
+                throw commandError('invalidParams', 'gameId must be a game id or slug');
+            }
+
+            await window.CatalogStore.load();
+            const game = window.CatalogStore.findGame(message.gameId);
+            if (!game) throw commandError('gameNotFound', `Game not found: ${message.gameId}`);
+
+            // The main page loads through the URL engine (address bar, title), the embed page through embed.js
+            if (window.GameUrlLoader) {
+                window.GameUrlLoader.loadGame(game.id);
+            } else if (window.GameEmbed) {
+                await window.GameEmbed.loadGame(game.id);
+            }
+            return { gameId: game.id };
+        },
+
+        getState: () => getState(),
+
+        pause: () => {
+            getPlayer().pause();
+            return getState();
+        },
+
+        resume: () => {
+            getPlayer().play();
+            return getState();
+        },
+
+        setVolume: (message) => {
+            const { volume } = message;
+            if (typeof volume !== 'number' || !Number.isFinite(volume) || volume < 0 || volume > 100) {
+                throw commandError('invalidParams', 'volume must be a number from 0 to 100');
+            }
+            getPlayer().volume = volume / 100;
+            return getState();
+        },
+
+        toggleFullscreen: () => {
+            const player = getPlayer();
+            if (player.isFullscreen) {
+                player.exitFullscreen();
+            } else {
+                // Browsers only allow this after a click inside the iframe
+                player.enterFullscreen();
+            }
+            return getState();
+        },
+
+        subscribe: (message, source, origin) => {
+            const events = getEventNames(message);
+            const subscription = subscribers.get(source) || { origin, events: new Set() };
+            events.forEach(name => subscription.events.add(name));
+            subscribers.set(source, subscription);
+            return { events: [...subscription.events] };
+        },
+
+        unsubscribe: (message, source) => {
+            const subscription = subscribers.get(source);
+            if (!subscription) return { events: [] };
+
+            getEventNames(message).forEach(name => subscription.events.delete(name));
+            if (!subscription.events.size) subscribers.delete(source);
+            return { events: [...subscription.events] };
+        }
+    };
+
+    /**
+     * Send a message of the protocol to a host window
+     */
+    function post(target, origin, data) {
+        try {
+            target.postMessage({ protocol: CONFIG.protocol, version: CONFIG.version, ...data }, origin);
+        } catch (error) {
+            Logger.warn(`Could not post to ${origin}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Send an event to the host windows subscribed to it
+     */
+    function emit(event, data) {
+        subscribers.forEach((subscription, target) => {
+            if (target.closed) {
+                subscribers.delete(target);
+                return;
+            }
+            if (subscription.events.has(event)) {
+                post(target, subscription.origin, { type: 'event', event, data });
+            }
+        });
+    }
+
+    /**
+     * Handle a message from a host page: run the command and reply with its result or error
+     */
+    async function handleMessage(event) {
+        const message = event.data;
+        if (!message || typeof message !== 'object' || message.protocol !== CONFIG.protocol) return;
+        if (message.type === 'response' || message.type === 'event') return;
+
+        if (!isAllowedOrigin(event.origin)) {
+            Logger.warn(`Ignoring "${message.type}" from ${event.origin}: origin not allowed`);
+            return;
+        }
+        if (!event.source) return;
+
+        const reply = (data) => post(event.source, event.origin, { type: 'response', id: message.id, command: message.type, ...data });
+
+        if (message.version !== CONFIG.version) {
+            reply({ ok: false, error: { code: 'unsupportedVersion', message: `Unsupported protocol version ${message.version}, expected ${CONFIG.version}` } });
+            return;
+        }
+
+        const command = Object.prototype.hasOwnProperty.call(COMMANDS, message.type) ? COMMANDS[message.type] : null;
+        if (!command) {
+            reply({ ok: false, error: { code: 'unknownCommand', message: `Unknown command: ${message.type}` } });
+            return;
+        }
+
+        Logger.debug(`${message.type} from ${event.origin}`);
+        try {
+            const result = await command(message, event.source, event.origin);
+            reply({ ok: true, result });
+        } catch (error) {
+            Logger.warn(`${message.type} failed: ${error.message}`);
+            reply({ ok: false, error: { code: error.code || 'commandFailed', message: error.message } });
+        }
+    }
+
+    window.addEventListener('message', handleMessage);
+
+    window.addEventListener('gameLoaded', (event) => {
+        const game = event.detail && event.detail.game;
+        if (game) emit('gameLoaded', { gameId: game.id, name: game.name || game.id });
+    });
+
+    window.addEventListener('gameError', (event) => {
+        emit('error', { gameId: event.detail.gameId, message: event.detail.message });
+    });
+
+    // The play time of the running session, each time play-stats.js saves it
+    window.addEventListener('playStatsChanged', () => {
+        const session = window.PlayStats && window.PlayStats.getCurrentSession();
+        if (!session) return;
+
+        const stats = window.PlayStats.getGameStats(session.gameId) || {};
+        emit('playTime', {
+            gameId: session.gameId,
+            paused: session.paused,
+            time: stats.time || 0,
+            sessions: stats.sessions || 0,
+            lastPlayed: stats.lastPlayed || null
+        });
+    });
+
+    // Export API to window for external access
+    window.HostApi = {
+        isAllowedOrigin,
+        getState,
+        getSubscriberCount: () => subscribers.size,
+        commands: Object.keys(COMMANDS),
+        events: EVENTS
+    };
+})();
@@ -0,0 +1,301 @@
+/**
+ * I18n
+ *
+ * Translations for every module on the page. translations.json (loaded once by
+ * catalog-store.js) has one object per locale, and each locale names itself with
+ * the languageName and languageFlag keys, so adding a locale to the file adds it
+ * to the language menu.
+ *
+ * Strings can contain {name} placeholders. Plural strings are objects keyed by
+ * Intl.PluralRules category and pick their form from the count variable:
+ *   "gameCount": { "one": "{count} game", "other": "{count} games" }
+ *
+ * The locale is picked in one place, negotiate(): ?lang=, then the locale folder
+ * of the URL (/lang/fr-fr/..., the per-locale pages of tools/build-pages.js),
+ * then the saved choice, then the browser languages, then CONFIG.defaultLocale.
+ */
+
+(function() {
+    console.log('[I18n] Initializing...');
+
+    // Configuration
+    const CONFIG = {
+        // Locale used when nothing the visitor asks for is available
+        defaultLocale: 'pt-pt',
+
+        // Locale used for keys missing from the current locale
+        fallbackLocale: 'en-us',
+
+        // localStorage key of the language picked in the menu
+        storageKey: 'preferredLanguage',
+
+        // Folder of the flag images named by languageFlag
+        flagsPath: 'images/flags/',
+
+        // Folder of the per-locale pages under the site root: /lang/<locale>/...
+        localeFolder: 'lang',
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[I18n]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[I18n]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[I18n]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[I18n]', msg)
+    };
+
+    let translations = {};
+    let currentLocale = CONFIG.defaultLocale;
+
+    // Language menus created by createMenu, updated when the locale changes
+    const menus = [];
+
+    // Intl.PluralRules instances by locale
+    const pluralRules = new Map();
+
+    /**
+     * Normalize a language tag for comparison (pt_PT -> pt-pt)
+     */
+    function normalize(tag) {
+        return String(tag || '').trim().toLowerCase().replace(/_/g, '-');
+    }
+
+    /**
+     * Get the codes of the available locales, in translations.json order
+     */
+    function getLocaleCodes() {
+        return Object.keys(translations);
+    }
+
+    /**
+     * Pick the best available locale for a list of requested language tags.
+     * Each tag is tried in order, first as an exact match (pt-br) and then by
+     * its language (pt -> pt-pt). Returns CONFIG.defaultLocale when nothing matches.
+     */
+    function negotiate(requested) {
+        const available = getLocaleCodes();
+
+        for (const tag of requested) {
+            const wanted = normalize(tag);
+            if (!wanted) continue;
+
+            if (available.includes(wanted)) return wanted;
+
+            const language = wanted.split('-')[0];
+            const sameLanguage = available.find(code => code.split('-')[0] === language);
+            if (sameLanguage) return sameLanguage;
+        }
+
+        return CONFIG.defaultLocale;
+    }
+
+    /**
+     * Get the URL of the folder of a locale's pages (/lang/fr-fr/), from the site root (<base href>)
+     */
+    function getLocaleRoot(locale) {
+        return new URL(`${CONFIG.localeFolder}/${normalize(locale)}/`, new URL('./', document.baseURI));
+    }
+
+    /**
+     * Get the locale of a URL in a locale folder (/lang/fr-fr/bad-ice-cream/), or null
+     */
+    function getUrlLocale(href = window.location.href) {
+        const rootPath = new URL('./', document.baseURI).pathname;
+        const path = new URL(href, document.baseURI).pathname;
+        if (!path.startsWith(rootPath)) return null;
+
+        const segments = path.slice(rootPath.length).split('/');
+        return segments.length > 2 && segments[0] === CONFIG.localeFolder && segments[1] ? normalize(segments[1]) : null;
+    }
+
+    /**
+     * The languages the visitor asked for, most important first
+     */
+    function getRequestedLocales() {
+        const requested = [new URLSearchParams(window.location.search).get('lang'), getUrlLocale()];
+
+        try {
+            requested.push(localStorage.getItem(CONFIG.storageKey));
+        } catch (error) {
+            // Storage not available (private mode)
+        }
+
+        return requested.concat(navigator.languages || [navigator.language]).filter(Boolean);
+    }
+
+    /**
+     * Find the string for a key: current locale, then the fallback locale
+     */
+    function lookup(key) {
+        for (const locale of [currentLocale, CONFIG.fallbackLocale]) {
+            const strings = translations[locale];
+            if (strings && strings[key] !== undefined && strings[key] !== '') {
+                return { value: strings[key], locale };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Pick the plural form of a string object for a count
+     */
+    function selectPlural(forms, locale, count) {
+        if (!pluralRules.has(locale)) {
+            pluralRules.set(locale, new Intl.PluralRules(locale));
+        }
+        const category = pluralRules.get(locale).select(Number(count) || 0);
+        return forms[category] !== undefined ? forms[category] : forms.other;
+    }
+
+    /**
+     * Replace {name} placeholders with variables. Unknown placeholders are kept.
+     */
+    function interpolate(text, vars) {
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            return vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : placeholder;
+        });
+    }
+
+    /**
+     * Translate a key. Returns the key itself when no locale has it.
+     *
+     *   t('gameCount', { count: 3 }) -> "3 games"
+     */
+    function t(key, vars = {}) {
+        const found = lookup(key);
+        if (!found) return key;
+
+        let text = found.value;
+        if (text && typeof text === 'object') {
+            text = selectPlural(text, found.locale, vars.count);
+        }
+
+        return interpolate(String(text), vars);
+    }
+
+    /**
+     * Check whether a key is translated in the current or fallback locale
+     */
+    function has(key) {
+        return lookup(key) !== null;
+    }
+
+    /**
+     * List the available locales: { code, name, flag }
+     */
+    function getLocales() {
+        return getLocaleCodes().map(code => ({
+            code,
+            name: translations[code].languageName || code,
+            flag: translations[code].languageFlag || null
+        }));
+    }
+
+    /**
+     * Mark the current locale in every language menu
+     */
+    function updateMenus() {
+        menus.forEach(menu => {
+            menu.querySelectorAll('[data-lang]').forEach(item => {
+                item.classList.toggle('active', item.dataset.lang === currentLocale);
+            });
+        });
+    }
+
+    /**
+     * Apply a locale to the document
+     */
+    function applyLocale(locale) {
+        currentLocale = locale;
+        document.documentElement.lang = locale.split('-')[0];
+        updateMenus();
+    }
+
+    /**
+     * Change the language. The choice is saved for future visits and a
+     * "languageChanged" event is dispatched on window.
+     */
+    function setLocale(tag) {
+        const locale = negotiate([tag]);
+        if (!translations[locale]) {
+            Logger.warn(`Unknown locale: ${tag}`);
+            return currentLocale;
+        }
+
+        try {
+            localStorage.setItem(CONFIG.storageKey, locale);
+        } catch (error) {
+            // Storage not available (private mode)
+        }
+
+        if (locale !== currentLocale) {
+            applyLocale(locale);
+            Logger.info(`Language changed to ${locale}`);
+            window.dispatchEvent(new CustomEvent('languageChanged', { detail: { locale } }));
+        }
+
+        return locale;
+    }
+
+    /**
+     * Fill a container with one flag per locale
+     */
+    function createMenu(container) {
+        if (!container) return null;
+
+        container.innerHTML = '';
+        getLocales().forEach(locale => {
+            const item = document.createElement(locale.flag ? 'img' : 'button');
+            item.className = 'flag-icon';
+            item.dataset.lang = locale.code;
+            item.title = locale.name;
+            if (locale.flag) {
+                item.src = CONFIG.flagsPath + locale.flag;
+                item.alt = locale.name;
+            } else {
+                item.textContent = locale.code.split('-')[0].toUpperCase();
+            }
+            item.addEventListener('click', () => setLocale(locale.code));
+            container.appendChild(item);
+        });
+
+        if (!menus.includes(container)) {
+            menus.push(container);
+        }
+        updateMenus();
+        return container;
+    }
+
+    /**
+     * Get the translations from the catalog store and negotiate the locale
+     */
+    async function load() {
+        await window.CatalogStore.load().catch(() => null);
+        translations = window.CatalogStore.getTranslations() || {};
+
+        if (getLocaleCodes().length === 0) {
+            Logger.error('No translations available, showing translation keys');
+        }
+
+        applyLocale(negotiate(getRequestedLocales()));
+        Logger.info(`Using language: ${currentLocale} (available: ${getLocaleCodes().join(', ')})`);
+        return currentLocale;
+    }
+
+    // Export API to window for external access
+    window.I18n = {
+        ready: load(),
+        t,
+        has,
+        negotiate,
+        getLocale: () => currentLocale,
+        getLocales,
+        getUrlLocale,
+        getLocaleRoot,
+        setLocale,
+        createMenu
+    };
+})();
@@ -0,0 +1,50 @@
+/**
+ * Key Input
+ *
+ * Sends synthetic keydown/keyup events to the Ruffle player. Shared by the
+ * input layers that play keyboard games without a keyboard (gamepad.js and
+ * touch-controls.js), so both send the same events.
+ */
+
+(function() {
+    console.log('[Key Input] Initializing...');
+
+    /**
+     * Get the KeyboardEvent key for a code (KeyZ -> z, Digit1 -> 1, Space -> " ")
+     */
+    function codeToKey(code) {
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3).toLowerCase();
+        if (/^(Digit|Numpad)[0-9]$/.test(code)) return code.slice(-1);
+        if (code === 'Space') return ' ';
+        return code.replace(/(Left|Right)$/, '') || code;
+    }
+
+    /**
+     * Get the element Ruffle listens to for keys, or null when nothing is playing
+     */
+    function getKeyTarget() {
+        const player = document.getElementById('ruffle-instance') || document.querySelector('ruffle-player');
+        if (!player) return null;
+        return (player.shadowRoot && player.shadowRoot.getElementById('container')) || player;
+    }
+
+    /**
+     * Send a key event to the player
+     */
+    function sendKey(target, type, code) {
+        target.dispatchEvent(new KeyboardEvent(type, {
+            key: codeToKey(code),
+            code,
+            bubbles: true,
+            composed: true,
+            cancelable: true
+        }));
+    }
+
+    // Export API to window for external access
+    window.KeyInput = {
+        codeToKey,
+        getKeyTarget,
+        sendKey
+    };
+})();
@@ -0,0 +1,448 @@
+/**
+ * Game Library
+ *
+ * A searchable grid of game cards, shown in place of the player when the
+ * library button is pressed. Supports instant text search, A-Z and recently
+ * added sorting, and filtering by collection (Nitrome, demos, Laser Quest...).
+ * With offline.js the cards show which games are downloaded, and the others
+ * can't be picked while offline.
+ * Selecting a card loads the game through the main page's loadGame().
+ * The game selector dropdown stays available as a compact fallback.
+ *
+ * With personal-library.js the view also shows a "Recently played" row,
+ * favorite and rating marks on the cards, and filters for the personal sets.
+ *
+ * The search and the collection filter are part of the URL (/search?q=,
+ * /c/<collection>): the library reports them with a "libraryChanged" event
+ * and router.js opens it with show().
+ */
+
+(function() {
+    console.log('[Game Library] Initializing...');
+
+    // Configuration
+    const CONFIG = {
+        // Collection names for the CDN folders games are stored in
+        collectionFolders: {
+            'nitrone-games': 'nitrome',
+            'demos': 'demos',
+            'laserquest': 'laserquest'
+        },
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Game Library]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Game Library]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Game Library]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Game Library]', msg)
+    };
+
+    // Current view state
+    const state = {
+        query: '',
+        sort: 'az',
+        collection: 'all',
+        set: 'all'
+    };
+
+    let libraryElement = null;
+
+    /**
+     * Translate a key with the page's translation function when it is available
+     */
+    function t(key) {
+        return typeof window._ === 'function' ? window._(key) : key;
+    }
+
+    /**
+     * Get all games from the catalog, in catalog order
+     */
+    function getAllGames() {
+        return window.CatalogStore.getGames();
+    }
+
+    /**
+     * Get the collection a game belongs to.
+     * Uses the game's own "collection" field, or the CDN folder it is stored in.
+     */
+    function getCollection(game) {
+        if (game.collection) return game.collection;
+
+        try {
+            const folders = new URL(game.path, window.location.href).pathname.split('/').filter(Boolean);
+            const folder = folders.length > 1 ? folders[folders.length - 2] : '';
+            return CONFIG.collectionFolders[folder] || folder || 'other';
+        } catch (error) {
+            return 'other';
+        }
+    }
+
+    /**
+     * Get the display name of a collection
+     */
+    function getCollectionName(collection) {
+        const key = `collection${collection.charAt(0).toUpperCase()}${collection.slice(1)}`;
+        const name = t(key);
+        return name === key ? collection : name;
+    }
+
+    /**
+     * Normalize text for searching (case and accent insensitive)
+     */
+    function normalize(str) {
+        return (str || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[_-]+/g, ' ');
+    }
+
+    /**
+     * Apply the current search, filter and sort to the catalog
+     */
+    function getVisibleGames() {
+        const query = normalize(state.query).trim();
+
+        // Personal sets (favorites, rated...) come from personal-library.js
+        const setIds = state.set !== 'all' && window.PersonalLibrary
+            ? new Set(window.PersonalLibrary.getSet(state.set) || [])
+            : null;
+
+        const games = getAllGames()
+            .map((game, index) => ({ game, index }))
+            .filter(({ game }) => state.collection === 'all' || getCollection(game) === state.collection)
+            .filter(({ game }) => !setIds || setIds.has(game.id))
+            .filter(({ game }) => !query || normalize(game.name).includes(query) || normalize(game.id).includes(query));
+
+        if (state.sort === 'recent') {
+            // Newest first: the "added" date when present, otherwise the position in games.json
+            games.sort((a, b) => {
+                const dateA = a.game.added ? Date.parse(a.game.added) : 0;
+                const dateB = b.game.added ? Date.parse(b.game.added) : 0;
+                return (dateB - dateA) || (b.index - a.index);
+            });
+        } else {
+            games.sort((a, b) => (a.game.name || a.game.id).localeCompare(b.game.name || b.game.id, undefined, { sensitivity: 'base' }));
+        }
+
+        return games.map(entry => entry.game);
+    }
+
+    /**
+     * Build the cover for a card: the catalog thumbnail, or a placeholder with the game's initials
+     */
+    function getCoverHTML(game) {
+        if (game.thumbnail) {
+            return `<img class="library-cover" src="${game.thumbnail}" alt="" loading="lazy">`;
+        }
+
+        const name = game.name || game.id;
+        const initials = name.split(/[\s_-]+/).filter(Boolean).slice(0, 2).map(word => word[0].toUpperCase()).join('');
+        let hash = 0;
+        for (let i = 0; i < name.length; i++) {
+            hash = (hash * 31 + name.charCodeAt(i)) % 360;
+        }
+        return `<div class="library-cover library-placeholder" style="background-color: hsl(${hash}, 45%, 35%)">${initials}</div>`;
+    }
+
+    /**
+     * Render the collection filter buttons
+     */
+    function renderFilters() {
+        const filters = libraryElement.querySelector('.library-filters');
+        const collections = ['all', ...new Set(getAllGames().map(getCollection))];
+
+        filters.innerHTML = collections.map(collection => `
+            <button class="library-filter ${collection === state.collection ? 'active' : ''}" data-collection="${collection}">
+                ${collection === 'all' ? t('collectionAll') : getCollectionName(collection)}
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Render the personal set filter buttons
+     */
+    function renderSets() {
+        const sets = libraryElement.querySelector('.library-sets');
+        if (!window.PersonalLibrary) return;
+
+        sets.innerHTML = window.PersonalLibrary.getSets().map(set => `
+            <button class="library-filter ${set.id === state.set ? 'active' : ''}" data-set="${set.id}">
+                ${set.label}
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Build a game card, with the favorite and rating marks of the personal library,
+     * and the offline mark of offline.js. While offline, games that are not downloaded are disabled.
+     */
+    function getCardHTML(game) {
+        const personal = window.PersonalLibrary;
+        const favorite = personal && personal.isFavorite(game.id);
+        const rating = personal ? personal.getRating(game.id) : 0;
+        const downloaded = window.OfflineManager ? window.OfflineManager.isAvailableOffline(game.id) : false;
+        const unavailable = !navigator.onLine && !downloaded;
+
+        return `
+            <button class="library-card ${unavailable ? 'library-card-unavailable' : ''}" data-game-id="${game.id}" title="${game.name || game.id}${unavailable ? ` - ${t('offlineUnavailable')}` : ''}" ${unavailable ? 'disabled' : ''}>
+                ${getCoverHTML(game)}
+                ${downloaded ? `<span class="library-card-offline" title="${t('offlineAvailable')}">✓</span>` : ''}
+                ${favorite ? `<span class="library-card-favorite" title="${t('filterFavorites')}">♥</span>` : ''}
+                <span class="library-card-name">${game.name || game.id}</span>
+                <span class="library-card-collection">${getCollectionName(getCollection(game))}</span>
+                ${rating ? `<span class="library-card-rating">${personal.formatRating(rating)}</span>` : ''}
+            </button>
+        `;
+    }
+
+    /**
+     * Render the "Recently played" row. It is shown on the unfiltered library only.
+     */
+    function renderRecent() {
+        const recent = libraryElement.querySelector('.library-recent');
+        const filtered = state.query.trim() || state.collection !== 'all' || state.set !== 'all';
+        const games = !filtered && window.PersonalLibrary
+            ? window.PersonalLibrary.filterGames(getAllGames(), 'recent')
+            : [];
+
+        recent.hidden = games.length === 0;
+        recent.innerHTML = games.length ? `
+            <h3 class="library-heading">${t('filterRecent')}</h3>
+            <div class="library-row">${games.map(getCardHTML).join('')}</div>
+        ` : '';
+    }
+
+    /**
+     * Render the game cards
+     */
+    function renderGrid() {
+        renderRecent();
+
+        const grid = libraryElement.querySelector('.library-grid');
+        const games = getVisibleGames();
+
+        if (games.length === 0) {
+            grid.innerHTML = `<p class="library-empty">${t('libraryNoResults')}</p>`;
+            return;
+        }
+
+        grid.innerHTML = games.map(getCardHTML).join('');
+
+        Logger.debug(`Showing ${games.length} games`);
+    }
+
+    /**
+     * Render the whole library view
+     */
+    function render() {
+        if (!libraryElement) return;
+
+        const search = libraryElement.querySelector('.library-search');
+        search.placeholder = t('librarySearch');
+
+        const sort = libraryElement.querySelector('.library-sort');
+        sort.options[0].textContent = t('librarySortAz');
+        sort.options[1].textContent = t('librarySortRecent');
+
+        renderFilters();
+        renderSets();
+        renderGrid();
+    }
+
+    /**
+     * Tell the router the library was opened, closed or filtered.
+     * replace: update the current history entry (while typing a search)
+     */
+    function notifyChange(replace = false) {
+        window.dispatchEvent(new CustomEvent('libraryChanged', {
+            detail: {
+                open: Boolean(libraryElement && !libraryElement.hidden),
+                collection: state.collection,
+                query: state.query,
+                replace
+            }
+        }));
+    }
+
+    /**
+     * Show the library
+     */
+    function open() {
+        if (!libraryElement) return;
+        document.body.classList.add('library-open');
+        libraryElement.hidden = false;
+        render();
+        libraryElement.querySelector('.library-search').focus();
+        notifyChange();
+    }
+
+    /**
+     * Show the library with a collection and search. options: { collection, query }
+     */
+    function show(options = {}) {
+        if (!libraryElement) return;
+        state.collection = options.collection || 'all';
+        state.query = options.query || '';
+        libraryElement.querySelector('.library-search').value = state.query;
+
+        if (libraryElement.hidden) {
+            open();
+        } else {
+            render();
+            notifyChange();
+        }
+    }
+
+    /**
+     * Hide the library and show the player again
+     */
+    function close() {
+        if (!libraryElement || libraryElement.hidden) return;
+        document.body.classList.remove('library-open');
+        libraryElement.hidden = true;
+        notifyChange();
+    }
+
+    /**
+     * Toggle the library
+     */
+    function toggle() {
+        if (libraryElement && libraryElement.hidden) {
+            open();
+        } else {
+            close();
+        }
+    }
+
+    /**
+     * Create the library view and its toggle button
+     */
+    function createLibrary() {
+        const main = document.querySelector('main');
+        const navControls = document.querySelector('.nav-controls');
+        if (!main || !navControls || document.getElementById('game-library')) return;
+
+        const button = document.createElement('button');
+        button.id = 'library-btn';
+        button.className = 'library-button';
+        button.textContent = '▦';
+        button.title = t('library');
+        navControls.prepend(button);
+        button.addEventListener('click', toggle);
+
+        libraryElement = document.createElement('section');
+        libraryElement.id = 'game-library';
+        libraryElement.className = 'library-view';
+        libraryElement.hidden = true;
+        libraryElement.innerHTML = `
+            <div class="library-toolbar">
+                <input type="search" class="library-search" autocomplete="off">
+                <select class="library-sort">
+                    <option value="az"></option>
+                    <option value="recent"></option>
+                </select>
+                <div class="library-filters"></div>
+                <div class="library-filters library-sets"></div>
+            </div>
+            <div class="library-recent" hidden></div>
+            <div class="library-grid"></div>
+        `;
+        main.prepend(libraryElement);
+
+        libraryElement.querySelector('.library-search').addEventListener('input', (event) => {
+            state.query = event.target.value;
+            renderGrid();
+            notifyChange(true);
+        });
+
+        libraryElement.querySelector('.library-sort').addEventListener('change', (event) => {
+            state.sort = event.target.value;
+            renderGrid();
+        });
+
+        libraryElement.querySelector('.library-toolbar').addEventListener('click', (event) => {
+            const filter = event.target.closest('.library-filter');
+            if (!filter) return;
+            if (filter.dataset.set) {
+                state.set = filter.dataset.set;
+                renderSets();
+            } else {
+                state.collection = filter.dataset.collection;
+                renderFilters();
+                notifyChange();
+            }
+            renderGrid();
+        });
+
+        libraryElement.addEventListener('click', (event) => {
+            const card = event.target.closest('.library-card');
+            if (!card) return;
+            selectGame(card.dataset.gameId);
+        });
+
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && !libraryElement.hidden) {
+                close();
+            }
+        });
+    }
+
+    /**
+     * Load a game from the library through the main page's loadGame().
+     * The router puts the game's URL in place of the library's.
+     */
+    function selectGame(gameId) {
+        if (typeof window.loadGame !== 'function') {
+            Logger.error('loadGame() is not available');
+            return;
+        }
+
+        document.body.classList.remove('library-open');
+        libraryElement.hidden = true;
+
+        // Keep the compact dropdown in sync
+        const selector = document.getElementById('game-selector');
+        if (selector) {
+            selector.value = gameId;
+        }
+
+        window.loadGame(gameId);
+    }
+
+    // Start when the DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', createLibrary);
+    } else {
+        createLibrary();
+    }
+
+    // Show the games as soon as the catalog arrives
+    window.addEventListener('gameDataLoaded', render);
+
+    // Update the marks and the recently played row
+    window.addEventListener('personalLibraryChanged', () => {
+        if (libraryElement && !libraryElement.hidden) renderGrid();
+    });
+
+    // Update the offline marks after a download, a removal, or a change of connection
+    window.addEventListener('offlineGamesChanged', () => {
+        if (libraryElement && !libraryElement.hidden) renderGrid();
+    });
+
+    // Export API to window for external access
+    window.GameLibrary = {
+        open,
+        show,
+        close,
+        toggle,
+        render,
+        getCollection,
+        getCollectionName,
+        getVisibleGames
+    };
+})();
@@ -0,0 +1,247 @@
+/**
+ * Network Inspector
+ *
+ * Panel listing the requests intercepted by redirector.js while a game runs:
+ * original URL, rewritten URL, the rule that fired, HTTP status and timing.
+ * Requests that 404 without a redirect rule are flagged and can be copied
+ * as a rule for redirect-rules.json.
+ */
+
+(function() {
+    console.log('[Network Inspector] Initializing...');
+
+    // Configuration
+    const CONFIG = {
+        // Where missing files are guessed to be when no game is loaded
+        mirrorBase: 'https://cdn.xperia.pt/',
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Network Inspector]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Network Inspector]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Network Inspector]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Network Inspector]', msg)
+    };
+
+    let problemsOnly = false;
+    let renderScheduled = false;
+
+    /**
+     * Translate a key with the page's translation function when it is available
+     */
+    function t(key) {
+        return typeof window._ === 'function' ? window._(key) : key;
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * A request failed: network error or HTTP error status
+     */
+    function isProblem(entry) {
+        return Boolean(entry.error) || (entry.status !== null && entry.status >= 400);
+    }
+
+    /**
+     * A request that 404'd and that no rule redirected, here or inside Ruffle (rewrittenByRuffle)
+     */
+    function isUnmapped(entry) {
+        return entry.status === 404 && !entry.rule && !entry.rewrittenByRuffle;
+    }
+
+    /**
+     * Get the path of the game that is playing, if any
+     */
+    function getCurrentGamePath() {
+        const gameId = typeof window.getCurrentGame === 'function' ? window.getCurrentGame() : null;
+        const game = window.CatalogStore.getGame(gameId);
+        return game ? game.path : null;
+    }
+
+    /**
+     * Build a redirect rule for a missing file. The target is a guess: the same
+     * file name next to the current game's SWF, to be checked before it is used.
+     */
+    function buildRule(entry) {
+        const from = entry.originalUrl.replace(/[?#].*$/, '');
+        const fileName = from.split('/').pop();
+        const gamePath = getCurrentGamePath();
+        const base = gamePath ? new URL('.', new URL(gamePath, document.baseURI)).href : CONFIG.mirrorBase;
+
+        return {
+            id: `missing-${fileName.replace(/\.[^.]*$/, '').toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+            description: `Added from the network inspector (${new Date().toISOString().slice(0, 10)})`,
+            from,
+            to: base + fileName
+        };
+    }
+
+    /**
+     * Copy a rule to the clipboard, or show it when the clipboard isn't available
+     */
+    async function copyRule(entry) {
+        const text = JSON.stringify(buildRule(entry), null, 2);
+
+        try {
+            await navigator.clipboard.writeText(text);
+            Logger.info(`Copied rule for ${entry.originalUrl}`);
+            return true;
+        } catch (error) {
+            Logger.warn(`Clipboard not available: ${error.message}`);
+            window.prompt(t('networkCopyRule'), text);
+            return false;
+        }
+    }
+
+    /**
+     * Render one request row
+     */
+    function renderRow(entry) {
+        const unmapped = isUnmapped(entry);
+        const classes = ['network-entry'];
+        if (isProblem(entry)) classes.push('network-problem');
+        if (unmapped) classes.push('network-unmapped');
+
+        const status = entry.error
+            ? entry.error
+            : entry.status !== null ? entry.status : (entry.done ? '-' : t('networkPending'));
+
+        return `
+            <tr class="${classes.join(' ')}">
+                <td>${escapeHTML(entry.type)}</td>
+                <td class="network-url" title="${escapeHTML(entry.originalUrl || '')}">${escapeHTML(entry.originalUrl || '-')}</td>
+                <td class="network-url" title="${escapeHTML(entry.redirectedUrl || '')}">${escapeHTML(entry.redirectedUrl || '-')}</td>
+                <td${entry.rewrittenByRuffle ? ` title="${escapeHTML(t('networkRewrittenByRuffle'))}"` : ''}>${escapeHTML(entry.rule || '-')}${entry.rewrittenByRuffle ? ' (Ruffle)' : ''}</td>
+                <td>${escapeHTML(status)}</td>
+                <td>${entry.duration !== null ? `${entry.duration}ms` : '-'}</td>
+                <td>${unmapped ? `<button class="network-action" data-action="copy-rule" data-request-id="${entry.id}" title="${t('networkNoRule')}">${t('networkCopyRule')}</button>` : ''}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Render the panel contents
+     */
+    function renderPanel() {
+        renderScheduled = false;
+
+        const panel = document.getElementById('network-panel');
+        if (!panel || panel.hidden || !window.Redirector) return;
+
+        const requests = window.Redirector.getRequests();
+        const visible = requests.filter(entry => !problemsOnly || isProblem(entry)).reverse();
+        const unmapped = requests.filter(isUnmapped).length;
+
+        panel.innerHTML = `
+            <h3>${t('networkTitle')}</h3>
+            <div class="network-toolbar">
+                <label><input type="checkbox" class="network-problems-only" ${problemsOnly ? 'checked' : ''}> ${t('networkProblemsOnly')}</label>
+                <span class="network-count">${requests.length} / ${unmapped} ${t('networkUnmapped')}</span>
+                <button class="network-action" data-action="clear">${t('networkClear')}</button>
+            </div>
+            ${visible.length ? `
+                <table class="network-table">
+                    <thead>
+                        <tr>
+                            <th>${t('networkType')}</th>
+                            <th>${t('networkOriginalUrl')}</th>
+                            <th>${t('networkRewrittenUrl')}</th>
+                            <th>${t('networkRule')}</th>
+                            <th>${t('networkStatus')}</th>
+                            <th>${t('networkTime')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>${visible.map(renderRow).join('')}</tbody>
+                </table>
+            ` : `<p class="network-empty">${t('networkEmpty')}</p>`}
+        `;
+    }
+
+    /**
+     * Render on the next frame, so a burst of requests renders once
+     */
+    function scheduleRender() {
+        if (renderScheduled) return;
+        renderScheduled = true;
+        requestAnimationFrame(renderPanel);
+    }
+
+    /**
+     * Create the inspector button and panel
+     */
+    function createPanel() {
+        const infoButtonContainer = document.querySelector('.info-button');
+        if (!infoButtonContainer || document.getElementById('network-btn') || !window.Redirector) return;
+
+        const button = document.createElement('button');
+        button.id = 'network-btn';
+        button.textContent = '⇄';
+        button.title = t('networkTitle');
+        infoButtonContainer.prepend(button);
+
+        const panel = document.createElement('div');
+        panel.id = 'network-panel';
+        panel.className = 'network-panel';
+        panel.hidden = true;
+        document.body.appendChild(panel);
+
+        button.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            renderPanel();
+        });
+
+        panel.addEventListener('click', async (event) => {
+            const actionButton = event.target.closest('.network-action');
+            if (!actionButton) return;
+
+            switch (actionButton.dataset.action) {
+                case 'clear':
+                    window.Redirector.clearRequests();
+                    break;
+
+                case 'copy-rule': {
+                    const id = parseInt(actionButton.dataset.requestId, 10);
+                    const entry = window.Redirector.getRequests().find(request => request.id === id);
+                    if (entry && await copyRule(entry)) {
+                        actionButton.textContent = t('networkRuleCopied');
+                    }
+                    break;
+                }
+            }
+        });
+
+        panel.addEventListener('change', (event) => {
+            if (!event.target.classList.contains('network-problems-only')) return;
+            problemsOnly = event.target.checked;
+            renderPanel();
+        });
+
+        window.Redirector.onRequest(scheduleRender);
+    }
+
+    // Start when the DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', createPanel);
+    } else {
+        createPanel();
+    }
+
+    // Export API to window for external access
+    window.NetworkInspector = {
+        buildRule,
+        copyRule,
+        render: renderPanel
+    };
+})();
@@ -0,0 +1,384 @@
+/**
+ * Offline Manager
+ *
+ * Registers the service worker (sw.js) and lets users download individual games
+ * for offline play. Downloaded SWFs live in the 'ruffle-games' cache, which the
+ * service worker serves whenever the game is requested, online or offline.
+ * It also reports storage used per game and marks the games that are playable
+ * offline in the game selector. An "offlineGamesChanged" event tells the
+ * library to update its cards.
+ */
+
+(function() {
+    console.log('[Offline Manager] Initializing...');
+
+    // Configuration
+    const CONFIG = {
+        // Service worker script, relative to the site root
+        serviceWorkerPath: '/sw.js',
+
+        // Cache shared with sw.js
+        gamesCache: 'ruffle-games',
+
+        // Local storage key for the list of downloaded games
+        storageKey: 'gameLoader_offlineGames',
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Offline Manager]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Offline Manager]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Offline Manager]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Offline Manager]', msg)
+    };
+
+    // Downloaded games: { [gameId]: { path, size, date } }
+    let offlineGames = {};
+
+    /**
+     * Translate a key with the page's translation function when it is available
+     */
+    function t(key) {
+        return typeof window._ === 'function' ? window._(key) : key;
+    }
+
+    /**
+     * Format a byte count for display
+     */
+    function formatBytes(bytes) {
+        if (!bytes) return '0 KB';
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Load the list of downloaded games from localStorage
+     */
+    function loadIndex() {
+        try {
+            offlineGames = JSON.parse(localStorage.getItem(CONFIG.storageKey) || '{}');
+        } catch (error) {
+            Logger.error(`Error reading offline games list: ${error.message}`);
+            offlineGames = {};
+        }
+    }
+
+    /**
+     * Save the list of downloaded games to localStorage
+     */
+    function saveIndex() {
+        try {
+            localStorage.setItem(CONFIG.storageKey, JSON.stringify(offlineGames));
+        } catch (error) {
+            Logger.error(`Error saving offline games list: ${error.message}`);
+        }
+    }
+
+    /**
+     * Drop entries whose cached file disappeared (e.g. the browser evicted the cache)
+     */
+    async function reconcileIndex() {
+        if (!window.caches) return;
+
+        const cache = await caches.open(CONFIG.gamesCache);
+        let changed = false;
+
+        for (const [gameId, entry] of Object.entries(offlineGames)) {
+            if (!await cache.match(entry.path)) {
+                Logger.warn(`Cached file for ${gameId} is gone, removing it from the list`);
+                delete offlineGames[gameId];
+                changed = true;
+            }
+        }
+
+        if (changed) saveIndex();
+    }
+
+    /**
+     * Find a game in the catalog by id
+     */
+    function findGame(gameId) {
+        return window.CatalogStore.getGame(gameId);
+    }
+
+    /**
+     * Download a game's SWF into the games cache
+     */
+    async function downloadGame(gameId) {
+        const game = findGame(gameId);
+        if (!game) {
+            throw new Error(`Game not found: ${gameId}`);
+        }
+        if (!window.caches) {
+            throw new Error('This browser does not support offline storage');
+        }
+
+        // Download from the first source that answers (see game-sources.js), cached under
+        // the game's path, which is the source the player tries first
+        Logger.info(`Downloading ${game.id} for offline play...`);
+        const source = await window.GameSources.resolve(game);
+        const response = await fetch(source.url, { mode: 'cors' });
+        if (!response.ok) {
+            throw new Error(`Failed to download ${source.url} (${response.status} ${response.statusText})`);
+        }
+
+        const blob = await response.clone().blob();
+        const cache = await caches.open(CONFIG.gamesCache);
+        await cache.put(game.path, response);
+
+        offlineGames[game.id] = {
+            path: game.path,
+            size: blob.size,
+            date: Date.now()
+        };
+        saveIndex();
+        refreshUI();
+
+        Logger.info(`${game.id} is available offline (${formatBytes(blob.size)})`);
+        return offlineGames[game.id];
+    }
+
+    /**
+     * Remove a downloaded game from the games cache
+     */
+    async function removeGame(gameId) {
+        const entry = offlineGames[gameId];
+        if (!entry) return false;
+
+        if (window.caches) {
+            const cache = await caches.open(CONFIG.gamesCache);
+            await cache.delete(entry.path);
+        }
+
+        delete offlineGames[gameId];
+        saveIndex();
+        refreshUI();
+
+        Logger.info(`Removed offline copy of ${gameId}`);
+        return true;
+    }
+
+    /**
+     * Check whether a game can be played without a network connection
+     */
+    function isAvailableOffline(gameId) {
+        if (!gameId) return false;
+        return Object.keys(offlineGames).some(id => id.toLowerCase() === gameId.toLowerCase());
+    }
+
+    /**
+     * List downloaded games with their storage usage
+     */
+    function getOfflineGames() {
+        return Object.entries(offlineGames).map(([id, entry]) => {
+            const game = findGame(id);
+            return {
+                id,
+                name: game ? game.name : id,
+                path: entry.path,
+                size: entry.size,
+                date: entry.date
+            };
+        });
+    }
+
+    /**
+     * Ask the browser how much storage the site is using
+     */
+    async function getStorageEstimate() {
+        if (navigator.storage && navigator.storage.estimate) {
+            return navigator.storage.estimate();
+        }
+        return null;
+    }
+
+    /**
+     * Mark the games that are playable offline in the game selector.
+     * While offline, games that are not downloaded are disabled.
+     */
+    function updateSelector() {
+        const selector = document.getElementById('game-selector');
+        if (!selector) return;
+
+        const offline = !navigator.onLine;
+
+        Array.from(selector.options).forEach(option => {
+            if (!option.value) return;
+
+            const available = isAvailableOffline(option.value);
+            option.classList.toggle('offline-available', available);
+            option.disabled = offline && !available;
+
+            // Keep the original label so the marker is not added twice
+            if (!option.dataset.label) {
+                option.dataset.label = option.textContent;
+            }
+            option.textContent = available ? `${option.dataset.label} ✓` : option.dataset.label;
+        });
+    }
+
+    /**
+     * Get the id of the game currently loaded in the main player
+     */
+    function getCurrentGameId() {
+        return typeof window.getCurrentGame === 'function' ? window.getCurrentGame() : null;
+    }
+
+    /**
+     * Render the offline panel contents
+     */
+    async function renderPanel() {
+        const panel = document.getElementById('offline-panel');
+        if (!panel || panel.hidden) return;
+
+        const currentGameId = getCurrentGameId();
+        const currentGame = findGame(currentGameId);
+        const games = getOfflineGames();
+        const total = games.reduce((sum, game) => sum + (game.size || 0), 0);
+
+        let currentHTML = '';
+        if (currentGame) {
+            const available = isAvailableOffline(currentGame.id);
+            currentHTML = `
+                <div class="offline-current">
+                    <span>${currentGame.name}</span>
+                    <button class="offline-action" data-action="${available ? 'remove' : 'download'}" data-game-id="${currentGame.id}">
+                        ${available ? t('removeOffline') : t('downloadOffline')}
+                    </button>
+                </div>
+            `;
+        }
+
+        const listHTML = games.length
+            ? games.map(game => `
+                <li class="offline-entry">
+                    <span class="offline-name">${game.name}</span>
+                    <span class="offline-size">${formatBytes(game.size)}</span>
+                    <button class="offline-action" data-action="remove" data-game-id="${game.id}" title="${t('removeOffline')}">✕</button>
+                </li>
+            `).join('')
+            : `<li class="offline-empty">${t('noOfflineGames')}</li>`;
+
+        panel.innerHTML = `
+            <h3>${t('offlineGames')}</h3>
+            ${currentHTML}
+            <ul class="offline-list">${listHTML}</ul>
+            <div class="offline-total">${t('offlineStorageUsed')} ${formatBytes(total)}</div>
+            <div class="offline-estimate"></div>
+        `;
+
+        const estimate = await getStorageEstimate();
+        const estimateElement = panel.querySelector('.offline-estimate');
+        if (estimate && estimateElement) {
+            estimateElement.textContent = `${t('siteStorageUsed')} ${formatBytes(estimate.usage)} / ${formatBytes(estimate.quota)}`;
+        }
+    }
+
+    /**
+     * Refresh everything that shows offline availability
+     */
+    function refreshUI() {
+        updateSelector();
+        renderPanel();
+        window.dispatchEvent(new CustomEvent('offlineGamesChanged'));
+    }
+
+    /**
+     * Create the offline button and panel
+     */
+    function createPanel() {
+        const infoButtonContainer = document.querySelector('.info-button');
+        if (!infoButtonContainer || document.getElementById('offline-btn')) return;
+
+        const button = document.createElement('button');
+        button.id = 'offline-btn';
+        button.textContent = '⬇';
+        button.title = t('offlineGames');
+        infoButtonContainer.prepend(button);
+
+        const panel = document.createElement('div');
+        panel.id = 'offline-panel';
+        panel.className = 'offline-panel';
+        panel.hidden = true;
+        document.body.appendChild(panel);
+
+        button.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            renderPanel();
+        });
+
+        panel.addEventListener('click', async (event) => {
+            const actionButton = event.target.closest('.offline-action');
+            if (!actionButton) return;
+
+            const gameId = actionButton.dataset.gameId;
+            actionButton.disabled = true;
+
+            try {
+                if (actionButton.dataset.action === 'download') {
+                    actionButton.textContent = t('downloading');
+                    await downloadGame(gameId);
+                } else {
+                    await removeGame(gameId);
+                }
+            } catch (error) {
+                Logger.error(error.message);
+                alert(`${t('offlineDownloadFailed')} ${error.message}`);
+                renderPanel();
+            }
+        });
+    }
+
+    /**
+     * Register the service worker
+     */
+    async function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            Logger.warn('Service workers are not supported, offline mode is unavailable');
+            return;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.register(CONFIG.serviceWorkerPath);
+            Logger.info(`Service worker registered (scope: ${registration.scope})`);
+        } catch (error) {
+            Logger.error(`Service worker registration failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Initialize the offline manager
+     */
+    async function initialize() {
+        loadIndex();
+        createPanel();
+        registerServiceWorker();
+
+        await reconcileIndex();
+        refreshUI();
+
+        window.addEventListener('online', refreshUI);
+        window.addEventListener('offline', refreshUI);
+        window.addEventListener('gameLoaded', renderPanel);
+    }
+
+    // Start when the DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+        initialize();
+    }
+
+    // Export API to window for external access
+    window.OfflineManager = {
+        downloadGame,
+        removeGame,
+        isAvailableOffline,
+        getOfflineGames,
+        getStorageEstimate,
+        updateSelector
+    };
+})();
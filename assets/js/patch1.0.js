@@ -5,18 +5,17 @@
  * It adds the following improvements:
  * 
  * 1. URL Handling and SEO Improvements
- *    - URL Slugs for better SEO
- *    - History API Integration
+ *    - URL Slugs for better SEO (built by router.js, which owns the History API)
  *    - URL Parameters support
  * 
  * 2. Performance Enhancements
- *    - Local Storage Caching
+ *    - Catalog lookups through the shared catalog store (catalog-store.js)
  * 
  * 3. Error Handling and Resilience
  *    - Enhanced Error Recovery
  *    - Network Detection
- *    - Automatic Retries
  *    - Detailed Error Reporting
+ *    (retries and mirror failover of the game files are done by game-sources.js)
  */
 
 (function() {
@@ -24,23 +23,6 @@
     
     // Configuration
     const CONFIG = {
-        // Local storage keys
-        STORAGE_KEYS: {
-            GAMES_DATA: 'gameLoader_gamesData',
-            TRANSLATIONS: 'gameLoader_translations',
-            CACHE_TIMESTAMP: 'gameLoader_cacheTimestamp',
-            RECENTLY_PLAYED: 'gameLoader_recentlyPlayed'
-        },
-        
-        // Cache expiration time (24 hours)
-        CACHE_EXPIRATION: 24 * 60 * 60 * 1000,
-        
-        // Maximum retry attempts for loading resources
-        MAX_RETRIES: 3,
-        
-        // Retry delay in milliseconds (increases with each retry)
-        RETRY_DELAY: 1000,
-        
         // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
         LOG_LEVEL: 3
     };
@@ -56,6 +38,13 @@
         debug: (msg) => CONFIG.LOG_LEVEL >= 4 && console.debug('[patch 1.0]', msg)
     };
     
+    /**
+     * Get a translated string by key, with optional {name} variables (see i18n.js)
+     */
+    function t(key, vars) {
+        return window.I18n.t(key, vars);
+    }
+    
     // Reference to the original GameUrlLoader API
     let originalLoader = null;
     
@@ -96,12 +85,8 @@
                 return loadGameEnhanced(gameId);
             },
             
-            // Enhanced getGames method with caching
+            // Games come from the shared catalog store
             getGames: () => {
-                const cachedGames = getCachedGamesData();
-                if (cachedGames) {
-                    return { ...cachedGames };
-                }
                 return originalLoader.getGames();
             },
             
@@ -123,17 +108,18 @@
             
             // Add method to update URL without reloading
             updateUrl: (gameId) => {
-                updateBrowserUrl(gameId);
+                const game = window.CatalogStore.getGame(gameId);
+                if (game) window.Router.syncGameUrl(game);
             },
             
             // Expose the original loader for backward compatibility
             original: originalLoader
         };
         
-        // Listen for the gameLoaded event to update browser history
+        // The one place a game enters "Recently played": once its player was created,
+        // so games that are not found or fail to start are left out
         window.addEventListener('gameLoaded', (event) => {
             if (event.detail && event.detail.game) {
-                updateBrowserUrl(event.detail.game.id);
                 addToRecentlyPlayed(event.detail.game.id);
             }
         });
@@ -148,10 +134,9 @@
             Logger.warn('Device is offline. Attempting to load from cache...');
             showOfflineMessage();
             
-            // Try to load from cache if available
-            const cachedGames = getCachedGamesData();
-            if (cachedGames && cachedGames[gameId.toLowerCase()]) {
-                // We can still try to load the game if it's cached
+            // Only games downloaded through the offline manager can be played
+            if (window.OfflineManager && window.OfflineManager.isAvailableOffline(gameId)) {
+                // The service worker serves the cached SWF
                 Logger.info(`Attempting to load cached game: ${gameId}`);
             } else {
                 Logger.error(`Cannot load game while offline: ${gameId}`);
@@ -167,11 +152,7 @@
             // Call the original loadGame method
             const result = originalLoader.loadGame(gameId);
             
-            // If successful, update browser URL and add to recently played
-            if (result) {
-                updateBrowserUrl(gameId);
-                addToRecentlyPlayed(gameId);
-            } else {
+            if (!result) {
                 // If the original loader failed, try alternative approaches
                 const gameBySlug = findGameBySlug(gameId);
                 if (gameBySlug) {
@@ -179,8 +160,6 @@
                     const slugResult = originalLoader.loadGame(gameBySlug.id);
                     
                     if (slugResult) {
-                        updateBrowserUrl(gameBySlug.id);
-                        addToRecentlyPlayed(gameBySlug.id);
                         return true;
                     }
                 }
@@ -201,84 +180,15 @@
      * Get an enhanced game URL that uses SEO-friendly slugs
      */
     function getEnhancedGameUrl(gameId) {
-        const games = window.GameUrlLoader.getGames();
-        if (!games) return null;
-        
-        const game = games[gameId.toLowerCase()];
-        if (!game) return null;
-        
-        // Create a slug from the game name
-        const slug = createSlug(game.name || game.id);
-        
-        // Return a URL with the slug and original ID as a parameter for fallback
-        return `${window.location.origin}/${slug}?id=${encodeURIComponent(game.id)}`;
-    }
-    
-    /**
-     * Create a URL-friendly slug from a string
-     */
-    function createSlug(str) {
-        if (!str) return '';
-        
-        return str
-            .toLowerCase()
-            .trim()
-            .replace(/[^\w\s-]/g, '') // Remove special characters
-            .replace(/\s+/g, '-')     // Replace spaces with hyphens
-            .replace(/-+/g, '-')      // Replace multiple hyphens with single hyphen
-            .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+        const game = window.CatalogStore.getGame(gameId);
+        return game ? window.Router.getGameUrl(game) : null;
     }
     
     /**
      * Find a game by its slug
      */
     function findGameBySlug(slug) {
-        const games = window.GameUrlLoader.getGames();
-        if (!games) return null;
-        
-        // Normalize the slug
-        const normalizedSlug = createSlug(slug);
-        
-        // Search through all games
-        for (const [id, game] of Object.entries(games)) {
-            const gameSlug = createSlug(game.name || game.id);
-            if (gameSlug === normalizedSlug) {
-                return game;
-            }
-        }
-        
-        return null;
-    }
-    
-    /**
-     * Update the browser URL without refreshing the page
-     */
-    function updateBrowserUrl(gameId) {
-        const games = window.GameUrlLoader.getGames();
-        if (!games || !gameId) return;
-        
-        const game = games[gameId.toLowerCase()];
-        if (!game) return;
-        
-        // Create a slug from the game name
-        const slug = createSlug(game.name || game.id);
-        
-        // Get current URL parameters and preserve them
-        const params = new URLSearchParams(window.location.search);
-        
-        // Set ID parameter for fallback
-        params.set('id', game.id);
-        
-        // Create the new URL
-        const newUrl = `${window.location.origin}/${slug}?${params.toString()}`;
-        
-        // Update browser history
-        try {
-            window.history.pushState({ gameId: game.id }, game.name || game.id, newUrl);
-            Logger.debug(`Updated URL: ${newUrl}`);
-        } catch (error) {
-            Logger.error(`Error updating browser URL: ${error.message}`);
-        }
+        return window.CatalogStore.getGameBySlug(slug);
     }
     
     /**
@@ -287,11 +197,12 @@
     function processUrlParameters() {
         const params = new URLSearchParams(window.location.search);
         
-        // Handle language parameter
-        const langParam = params.get('lang');
-        if (langParam) {
-            setLanguageFromParameter(langParam);
-        }
+        // The lang parameter is handled by i18n.js when it picks the language
+        
+        // Player settings (quality, scale, volume, muted, autoplay, bg, flashvars, t, controls)
+        // are validated by player-options.js and applied when the link's game is loaded
+        const errors = window.PlayerOptions.readLinkSettings(params, window.Router.getGameRef());
+        errors.forEach(error => Logger.warn(error));
         
         // Handle fullscreen parameter
         const fullscreenParam = params.get('fullscreen');
@@ -308,24 +219,24 @@
     }
     
     /**
-     * Set the language based on URL parameter
+     * Get the link to share a game: its URL with the current parameters (lang...), with
+     * the player settings of the current game when includeSettings is true and without them otherwise
      */
-    function setLanguageFromParameter(lang) {
-        // Look for language switcher elements
-        const englishFlag = document.querySelector('.flag-us');
-        const portugueseFlag = document.querySelector('.flag-pt');
-        
-        if (lang.toLowerCase() === 'en' || lang.toLowerCase() === 'en-us') {
-            if (englishFlag && typeof englishFlag.click === 'function') {
-                englishFlag.click();
-                Logger.info('Language set to English from URL parameter');
-            }
-        } else if (lang.toLowerCase() === 'pt' || lang.toLowerCase() === 'pt-pt') {
-            if (portugueseFlag && typeof portugueseFlag.click === 'function') {
-                portugueseFlag.click();
-                Logger.info('Language set to Portuguese from URL parameter');
+    function getShareUrl(game, includeSettings) {
+        const url = new URL(window.Router.getGameUrl(game));
+        new URLSearchParams(window.location.search).forEach((value, name) => {
+            if (name !== 'id' && name !== 'q' && !window.PlayerOptions.LINK_SETTINGS.includes(name)) {
+                url.searchParams.append(name, value);
             }
+        });
+        
+        if (includeSettings) {
+            window.PlayerOptions.toLinkParams(window.PlayerOptions.getCurrentSettings()).forEach((value, name) => {
+                url.searchParams.set(name, value);
+            });
         }
+        
+        return url.href;
     }
     
     /**
@@ -351,77 +262,11 @@
     }
     
     /**
-     * Add a game to the recently played list
+     * Add a game to the recently played list (kept by personal-library.js)
      */
     function addToRecentlyPlayed(gameId) {
-        try {
-            // Get current list
-            let recentlyPlayed = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.RECENTLY_PLAYED) || '[]');
-            
-            // Remove existing entry if present
-            recentlyPlayed = recentlyPlayed.filter(id => id !== gameId);
-            
-            // Add to the beginning of the list
-            recentlyPlayed.unshift(gameId);
-            
-            // Limit the list to 10 items
-            if (recentlyPlayed.length > 10) {
-                recentlyPlayed.pop();
-            }
-            
-            // Save the updated list
-            localStorage.setItem(CONFIG.STORAGE_KEYS.RECENTLY_PLAYED, JSON.stringify(recentlyPlayed));
-            Logger.debug(`Added ${gameId} to recently played games`);
-        } catch (error) {
-            Logger.error(`Error updating recently played games: ${error.message}`);
-        }
-    }
-    
-    /**
-     * Get cached games data from localStorage
-     */
-    function getCachedGamesData() {
-        try {
-            // Check if the cache is expired
-            const timestamp = localStorage.getItem(CONFIG.STORAGE_KEYS.CACHE_TIMESTAMP);
-            if (!timestamp || Date.now() - parseInt(timestamp) > CONFIG.CACHE_EXPIRATION) {
-                Logger.debug('Cache expired or not set');
-                return null;
-            }
-            
-            // Get the cached data
-            const cachedData = localStorage.getItem(CONFIG.STORAGE_KEYS.GAMES_DATA);
-            if (!cachedData) {
-                Logger.debug('No cached game data found');
-                return null;
-            }
-            
-            // Parse and return the cached data
-            const gamesData = JSON.parse(cachedData);
-            Logger.debug(`Loaded ${Object.keys(gamesData).length} games from cache`);
-            return gamesData;
-        } catch (error) {
-            Logger.error(`Error loading cached games data: ${error.message}`);
-            return null;
-        }
-    }
-    
-    /**
-     * Cache the games data in localStorage
-     */
-    function cacheGamesData(gamesData) {
-        if (!gamesData) return;
-        
-        try {
-            // Store the games data
-            localStorage.setItem(CONFIG.STORAGE_KEYS.GAMES_DATA, JSON.stringify(gamesData));
-            
-            // Update the timestamp
-            localStorage.setItem(CONFIG.STORAGE_KEYS.CACHE_TIMESTAMP, Date.now().toString());
-            
-            Logger.info(`Cached ${Object.keys(gamesData).length} games in localStorage`);
-        } catch (error) {
-            Logger.error(`Error caching games data: ${error.message}`);
+        if (window.PersonalLibrary) {
+            window.PersonalLibrary.addRecentlyPlayed(gameId);
         }
     }
     
@@ -455,30 +300,30 @@
         
         switch (errorType) {
             case 'offline':
-                errorMessage = `You're currently offline. Unable to load game: ${data.gameId}.`;
-                actionMessage = 'Please check your internet connection and try again.';
+                errorMessage = t('errorOffline', { game: data.gameId });
+                actionMessage = t('errorOfflineAction');
                 break;
             
             case 'gameNotFound':
-                errorMessage = `Game not found: ${data.gameId}`;
-                actionMessage = 'Please check the game name or select a game from the dropdown menu.';
+                errorMessage = t('errorGameNotFound', { game: data.gameId });
+                actionMessage = t('errorGameNotFoundAction');
                 break;
             
             case 'loadError':
-                errorMessage = `Error loading game: ${data.gameId}`;
-                actionMessage = 'Please try refreshing the page or select a different game.';
+                errorMessage = t('errorLoadGame', { game: data.gameId });
+                actionMessage = t('errorLoadGameAction');
                 break;
                 
             default:
-                errorMessage = 'An unexpected error occurred.';
-                actionMessage = 'Please try again later.';
+                errorMessage = t('errorUnexpected');
+                actionMessage = t('errorUnexpectedAction');
         }
         
         // Set error message content
         errorContainer.innerHTML = `
             <h3 style="margin-top:0">${errorMessage}</h3>
             <p>${actionMessage}</p>
-            <button id="error-close-btn" style="background:#fff;color:#f44336;border:none;padding:8px 16px;margin-top:10px;border-radius:4px;cursor:pointer;font-weight:bold;">Close</button>
+            <button id="error-close-btn" style="background:#fff;color:#f44336;border:none;padding:8px 16px;margin-top:10px;border-radius:4px;cursor:pointer;font-weight:bold;">${t('close')}</button>
         `;
         
         // Add close button functionality
@@ -512,7 +357,7 @@
             offlineIndicator.style.borderRadius = '4px';
             offlineIndicator.style.fontWeight = 'bold';
             offlineIndicator.style.zIndex = '9999';
-            offlineIndicator.textContent = 'Offline Mode';
+            offlineIndicator.textContent = t('offlineMode');
             document.body.appendChild(offlineIndicator);
         } else {
             offlineIndicator.style.display = 'block';
@@ -560,7 +405,10 @@
             if (!shareButton) return;
             
             // Add a title to the button
-            shareButton.title = 'Share this game with friends';
+            shareButton.title = t('shareWithFriends');
+            window.addEventListener('languageChanged', () => {
+                shareButton.title = t('shareWithFriends');
+            });
             
             // Add additional social sharing options
             shareButton.addEventListener('contextmenu', function(e) {
@@ -578,34 +426,15 @@
      * Show additional sharing options
      */
     function showSharingOptions() {
-        // Get current game ID from URL
-        const path = window.location.pathname;
-        const gamePath = path.split('/').filter(part => part.trim() !== '')[0];
-        
-        if (!gamePath) return;
-        
-        // Find the game data
-        const games = window.GameUrlLoader.getGames();
-        if (!games) return;
-        
-        // Try to find by slug first
-        let gameData = findGameBySlug(gamePath);
-        
-        // Fall back to direct ID if not found by slug
-        if (!gameData) {
-            const idParam = new URLSearchParams(window.location.search).get('id');
-            if (idParam && games[idParam.toLowerCase()]) {
-                gameData = games[idParam.toLowerCase()];
-            } else {
-                // Try direct match with games object
-                gameData = games[gamePath.toLowerCase()];
-            }
-        }
+        // Share the game in the player
+        const gameId = typeof window.getCurrentGame === 'function' ? window.getCurrentGame() : null;
+        const gameData = gameId ? window.CatalogStore.getGame(gameId) : null;
         
         if (!gameData) return;
         
-        // Generate sharing URL
-        const gameUrl = window.location.href;
+        // Offer to include the player settings of the current game in the link
+        const settingsParams = window.PlayerOptions.toLinkParams(window.PlayerOptions.getCurrentSettings());
+        let includeSettings = false;
         
         // Create share options container
         const shareOptions = document.createElement('div');
@@ -620,14 +449,36 @@
         shareOptions.style.boxShadow = '0 2px 10px rgba(0,0,0,0.2)';
         shareOptions.style.zIndex = '10000';
         
-        // Create sharing options
+        if (settingsParams.toString()) {
+            const settingsOption = document.createElement('label');
+            settingsOption.className = 'share-settings-option';
+            settingsOption.style.display = 'flex';
+            settingsOption.style.alignItems = 'center';
+            settingsOption.style.gap = '6px';
+            settingsOption.style.padding = '4px 24px 8px 4px';
+            settingsOption.style.fontSize = '12px';
+            settingsOption.style.cursor = 'pointer';
+            settingsOption.title = decodeURIComponent(settingsParams.toString()).replace(/&/g, ', ');
+            settingsOption.innerHTML = `<input type="checkbox"><span>${t('shareIncludeSettings')}</span>`;
+            settingsOption.querySelector('input').addEventListener('change', (event) => {
+                includeSettings = event.target.checked;
+            });
+            shareOptions.appendChild(settingsOption);
+        }
+        
+        // Create sharing options (the link is built when an option is picked)
         const shareOptionsList = [
-            { name: 'WhatsApp', icon: '📱', url: `https://wa.me/?text=${encodeURIComponent(`Play ${gameData.name} online: ${gameUrl}`)}` },
-            { name: 'Facebook', icon: 'ƒ', url: `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(gameUrl)}` },
-            { name: 'Twitter', icon: '🐦', url: `https://twitter.com/intent/tweet?text=${encodeURIComponent(`Playing ${gameData.name} online! Check it out:`)}&url=${encodeURIComponent(gameUrl)}` },
-            { name: 'Email', icon: '✉️', url: `mailto:?subject=${encodeURIComponent(`Check out this game: ${gameData.name}`)}&body=${encodeURIComponent(`I found this game that you might enjoy: ${gameUrl}`)}` }
+            { name: 'WhatsApp', icon: '📱', url: gameUrl => `https://wa.me/?text=${encodeURIComponent(t('shareWhatsAppText', { game: gameData.name, url: gameUrl }))}` },
+            { name: 'Facebook', icon: 'ƒ', url: gameUrl => `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(gameUrl)}` },
+            { name: 'Twitter', icon: '🐦', url: gameUrl => `https://twitter.com/intent/tweet?text=${encodeURIComponent(t('shareTwitterText', { game: gameData.name }))}&url=${encodeURIComponent(gameUrl)}` },
+            { name: 'Email', icon: '✉️', url: gameUrl => `mailto:?subject=${encodeURIComponent(t('shareEmailSubject', { game: gameData.name }))}&body=${encodeURIComponent(t('shareEmailBody', { url: gameUrl }))}` }
         ];
         
+        // The iframe snippet and oEmbed description are shown in the popup instead of opening a page
+        if (window.GameEmbed) {
+            shareOptionsList.push({ name: t('shareEmbed'), icon: '⧉', action: () => showEmbedCode(shareOptions, gameData, includeSettings) });
+        }
+        
         // Add options to container
         shareOptionsList.forEach(option => {
             const optionElement = document.createElement('div');
@@ -653,7 +504,11 @@
             });
             
             optionElement.addEventListener('click', () => {
-                window.open(option.url, '_blank');
+                if (option.action) {
+                    option.action();
+                    return;
+                }
+                window.open(option.url(getShareUrl(gameData, includeSettings)), '_blank');
                 document.body.removeChild(shareOptions);
             });
             
@@ -703,35 +558,63 @@
         });
     }
     
-    // Cache the original games data when it's loaded
-    window.addEventListener('gameDataLoaded', function(e) {
-        if (e.detail && e.detail.gamesData) {
-            cacheGamesData(e.detail.gamesData);
-        }
-    });
-    
-    // Listen for popstate to handle browser back/forward buttons
-    window.addEventListener('popstate', function(e) {
-        // Get the game ID from the URL
-        const path = window.location.pathname;
-        const gamePath = path.split('/').filter(part => part.trim() !== '')[0];
-        
-        if (gamePath) {
-            // Check if the state contains a gameId
-            if (e.state && e.state.gameId) {
-                window.GameUrlLoader.loadGame(e.state.gameId);
-            } else {
-                // Try to find the game by slug
-                const gameBySlug = findGameBySlug(gamePath);
-                if (gameBySlug) {
-                    window.GameUrlLoader.loadGame(gameBySlug.id);
-                } else {
-                    // Fall back to using the path as an ID
-                    window.GameUrlLoader.loadGame(gamePath);
+    /**
+     * Show the iframe snippet and the oEmbed JSON of a game in the share popup, with copy buttons
+     */
+    function showEmbedCode(shareOptions, gameData, includeSettings) {
+        const previous = shareOptions.querySelector('.share-embed');
+        if (previous) previous.remove();
+        
+        const options = { settings: includeSettings ? window.PlayerOptions.getCurrentSettings() : null };
+        const blocks = [
+            { label: t('embedCode'), text: window.GameEmbed.getEmbedCode(gameData, options), rows: 4 },
+            { label: t('embedOEmbed'), text: JSON.stringify(window.GameEmbed.getOEmbed(gameData, options), null, 2), rows: 8 }
+        ];
+        
+        const section = document.createElement('div');
+        section.className = 'share-embed';
+        section.style.borderTop = '1px solid #ccc';
+        section.style.marginTop = '5px';
+        section.style.paddingTop = '5px';
+        section.style.fontSize = '12px';
+        
+        blocks.forEach(block => {
+            const label = document.createElement('div');
+            label.textContent = block.label;
+            label.style.margin = '5px 0 3px';
+            
+            const textarea = document.createElement('textarea');
+            textarea.readOnly = true;
+            textarea.rows = block.rows;
+            textarea.value = block.text;
+            textarea.style.display = 'block';
+            textarea.style.width = '280px';
+            textarea.style.fontFamily = 'monospace';
+            textarea.style.fontSize = '11px';
+            textarea.style.resize = 'vertical';
+            
+            const copyButton = document.createElement('button');
+            copyButton.textContent = t('embedCopy');
+            copyButton.style.marginTop = '3px';
+            copyButton.style.cursor = 'pointer';
+            copyButton.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(block.text);
+                    copyButton.textContent = t('embedCopied');
+                    setTimeout(() => { copyButton.textContent = t('embedCopy'); }, 2000);
+                } catch (error) {
+                    // Clipboard blocked: select the text so it can be copied by hand
+                    Logger.warn(`Clipboard not available: ${error.message}`);
+                    textarea.focus();
+                    textarea.select();
                 }
-            }
-        }
-    });
+            });
+            
+            section.append(label, textarea, copyButton);
+        });
+        
+        shareOptions.appendChild(section);
+    }
     
     // Start the enhancer when DOM is loaded
     if (document.readyState === 'loading') {
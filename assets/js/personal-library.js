@@ -0,0 +1,472 @@
+/**
+ * Personal Library
+ *
+ * The visitor's own data about the games, kept in localStorage: favorites,
+ * recently played, star ratings (1-5) and free-text notes.
+ *
+ * - The ♡ button in the header opens a panel to mark the current game as a
+ *   favorite, rate it and write notes
+ * - A filter next to the game selector narrows the dropdown down to one of the
+ *   sets (favorites, recently played, rated, with notes)
+ * - The game library (library.js) shows a "Recently played" row and the same filters
+ *
+ * The recently played list keeps the gameLoader_recentlyPlayed key patch1.0.js
+ * has always written, so the history of earlier visits shows up.
+ * A "personalLibraryChanged" event is dispatched on window when anything changes.
+ */
+
+(function() {
+    console.log('[Personal Library] Initializing...');
+
+    // Configuration
+    const CONFIG = {
+        // localStorage keys
+        storageKeys: {
+            favorites: 'gameLoader_favorites',
+            recentlyPlayed: 'gameLoader_recentlyPlayed',
+            ratings: 'gameLoader_ratings',
+            notes: 'gameLoader_notes'
+        },
+
+        // Number of games kept in the recently played list
+        maxRecentlyPlayed: 10,
+
+        // Highest star rating
+        maxRating: 5,
+
+        // Delay before a note being typed is saved (ms)
+        noteSaveDelay: 500,
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Personal Library]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Personal Library]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Personal Library]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Personal Library]', msg)
+    };
+
+    // Sets the game selector can be filtered to, with their translation keys
+    const SETS = {
+        all: 'filterAll',
+        favorites: 'filterFavorites',
+        recent: 'filterRecent',
+        rated: 'filterRated',
+        notes: 'filterNotes'
+    };
+
+    // Set the game selector is filtered to
+    let selectorFilter = 'all';
+
+    let noteTimer = null;
+
+    /**
+     * Get a translated string by key, with optional {name} variables (see i18n.js)
+     */
+    function t(key, vars) {
+        return window.I18n.t(key, vars);
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Read a JSON value from localStorage
+     */
+    function readStorage(key, fallback) {
+        try {
+            const value = JSON.parse(localStorage.getItem(key));
+            return value !== null && typeof value === typeof fallback && Array.isArray(value) === Array.isArray(fallback)
+                ? value
+                : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    /**
+     * Write a JSON value to localStorage and tell the page
+     */
+    function writeStorage(key, value, gameId) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            Logger.error(`Could not save ${key}: ${error.message}`);
+            return;
+        }
+        window.dispatchEvent(new CustomEvent('personalLibraryChanged', { detail: { gameId } }));
+    }
+
+    /**
+     * Get the ids of the favorite games, most recently added first
+     */
+    function getFavorites() {
+        return readStorage(CONFIG.storageKeys.favorites, []);
+    }
+
+    /**
+     * Check whether a game is a favorite
+     */
+    function isFavorite(gameId) {
+        return getFavorites().includes(gameId);
+    }
+
+    /**
+     * Add a game to the favorites, or remove it
+     */
+    function setFavorite(gameId, favorite) {
+        const favorites = getFavorites().filter(id => id !== gameId);
+        if (favorite) favorites.unshift(gameId);
+        writeStorage(CONFIG.storageKeys.favorites, favorites, gameId);
+        Logger.info(`${favorite ? 'Added' : 'Removed'} favorite: ${gameId}`);
+    }
+
+    /**
+     * Switch a game between favorite and not favorite. Returns the new state.
+     */
+    function toggleFavorite(gameId) {
+        const favorite = !isFavorite(gameId);
+        setFavorite(gameId, favorite);
+        return favorite;
+    }
+
+    /**
+     * Get the ids of the recently played games, most recent first
+     */
+    function getRecentlyPlayed() {
+        return readStorage(CONFIG.storageKeys.recentlyPlayed, []);
+    }
+
+    /**
+     * Move a game to the front of the recently played list
+     */
+    function addRecentlyPlayed(gameId) {
+        const recentlyPlayed = getRecentlyPlayed().filter(id => id !== gameId);
+        recentlyPlayed.unshift(gameId);
+        writeStorage(CONFIG.storageKeys.recentlyPlayed, recentlyPlayed.slice(0, CONFIG.maxRecentlyPlayed), gameId);
+        Logger.debug(`Added ${gameId} to recently played games`);
+    }
+
+    /**
+     * Get the rating of a game (1 to CONFIG.maxRating), or 0 when it isn't rated
+     */
+    function getRating(gameId) {
+        return readStorage(CONFIG.storageKeys.ratings, {})[gameId] || 0;
+    }
+
+    /**
+     * Rate a game. 0 removes the rating.
+     */
+    function setRating(gameId, rating) {
+        const ratings = readStorage(CONFIG.storageKeys.ratings, {});
+        const stars = Math.max(0, Math.min(CONFIG.maxRating, Math.round(Number(rating) || 0)));
+        if (stars) {
+            ratings[gameId] = stars;
+        } else {
+            delete ratings[gameId];
+        }
+        writeStorage(CONFIG.storageKeys.ratings, ratings, gameId);
+    }
+
+    /**
+     * Get the note of a game, or an empty string
+     */
+    function getNote(gameId) {
+        return readStorage(CONFIG.storageKeys.notes, {})[gameId] || '';
+    }
+
+    /**
+     * Save the note of a game. An empty note is removed.
+     */
+    function setNote(gameId, note) {
+        const notes = readStorage(CONFIG.storageKeys.notes, {});
+        const text = String(note || '');
+        if (text.trim()) {
+            notes[gameId] = text;
+        } else {
+            delete notes[gameId];
+        }
+        writeStorage(CONFIG.storageKeys.notes, notes, gameId);
+    }
+
+    /**
+     * Get the ids of the games in a set ("favorites", "recent", "rated" or "notes"),
+     * or null for "all"
+     */
+    function getSet(name) {
+        switch (name) {
+            case 'favorites':
+                return getFavorites();
+            case 'recent':
+                return getRecentlyPlayed();
+            case 'rated':
+                return Object.keys(readStorage(CONFIG.storageKeys.ratings, {}));
+            case 'notes':
+                return Object.keys(readStorage(CONFIG.storageKeys.notes, {}));
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Keep the games of a set. Recently played games are in the order they were
+     * played, the other sets keep the order of the list they are given.
+     */
+    function filterGames(games, name) {
+        const ids = getSet(name);
+        if (!ids) return games;
+
+        const byId = new Map(games.map(game => [game.id, game]));
+        if (name === 'recent') {
+            return ids.map(id => byId.get(id)).filter(Boolean);
+        }
+        return games.filter(game => ids.includes(game.id));
+    }
+
+    /**
+     * List the sets: { id, label }
+     */
+    function getSets() {
+        return Object.entries(SETS).map(([id, key]) => ({ id, label: t(key) }));
+    }
+
+    /**
+     * Get the set the game selector is filtered to
+     */
+    function getSelectorFilter() {
+        return selectorFilter;
+    }
+
+    /**
+     * Filter the game selector to a set
+     */
+    function setSelectorFilter(name) {
+        selectorFilter = SETS[name] ? name : 'all';
+
+        const filter = document.getElementById('game-filter');
+        if (filter) filter.value = selectorFilter;
+
+        if (typeof window.populateGameDropdown === 'function') {
+            window.populateGameDropdown();
+        }
+    }
+
+    /**
+     * Get the catalog entry of the game in the main player, or null
+     */
+    function getCurrentGame() {
+        const gameId = typeof window.getCurrentGame === 'function' ? window.getCurrentGame() : null;
+        return gameId ? window.CatalogStore.getGame(gameId) : null;
+    }
+
+    /**
+     * Render the stars of a rating as text (★★★☆☆)
+     */
+    function formatRating(rating) {
+        return '★'.repeat(rating) + '☆'.repeat(CONFIG.maxRating - rating);
+    }
+
+    /**
+     * Show whether the current game is a favorite on the header button
+     */
+    function updateButton() {
+        const button = document.getElementById('personal-btn');
+        if (!button) return;
+
+        const game = getCurrentGame();
+        const favorite = Boolean(game && isFavorite(game.id));
+        button.textContent = favorite ? '♥' : '♡';
+        button.classList.toggle('active', favorite);
+        button.title = t('personalTitle');
+    }
+
+    /**
+     * Render the panel for the current game
+     */
+    function renderPanel() {
+        updateButton();
+
+        const panel = document.getElementById('personal-panel');
+        if (!panel || panel.hidden) return;
+
+        const game = getCurrentGame();
+        if (!game) {
+            panel.innerHTML = `
+                <h3>${t('personalTitle')}</h3>
+                <p class="personal-empty">${t('personalNoGame')}</p>
+            `;
+            return;
+        }
+
+        // Don't re-render under the cursor while a note is being typed
+        const noteField = panel.querySelector('.personal-note');
+        if (noteField && document.activeElement === noteField && noteField.dataset.gameId === game.id) {
+            return;
+        }
+
+        const favorite = isFavorite(game.id);
+        const rating = getRating(game.id);
+        const stars = Array.from({ length: CONFIG.maxRating }, (_, index) => index + 1).map(value => `
+            <button class="personal-star ${value <= rating ? 'active' : ''}" data-action="rate" data-rating="${value}" title="${t('personalRatingStars', { count: value })}">${value <= rating ? '★' : '☆'}</button>
+        `).join('');
+
+        panel.innerHTML = `
+            <h3>${t('personalTitle')}</h3>
+            <div class="personal-game">${escapeHTML(game.name || game.id)}</div>
+            <button class="personal-action ${favorite ? 'active' : ''}" data-action="favorite">${favorite ? '♥' : '♡'} ${t('personalFavorite')}</button>
+            <div class="personal-rating">
+                <span>${t('personalRating')}</span>
+                ${stars}
+                ${rating ? `<button class="personal-action" data-action="rate" data-rating="0">${t('personalClearRating')}</button>` : ''}
+            </div>
+            <label class="personal-notes-label">
+                ${t('personalNotes')}
+                <textarea class="personal-note" rows="4" data-game-id="${escapeHTML(game.id)}" placeholder="${escapeHTML(t('personalNotesPlaceholder'))}">${escapeHTML(getNote(game.id))}</textarea>
+            </label>
+        `;
+    }
+
+    /**
+     * Create the header button and panel
+     */
+    function createPanel() {
+        const infoButtonContainer = document.querySelector('.info-button');
+        if (!infoButtonContainer || document.getElementById('personal-btn')) return;
+
+        const button = document.createElement('button');
+        button.id = 'personal-btn';
+        infoButtonContainer.prepend(button);
+
+        const panel = document.createElement('div');
+        panel.id = 'personal-panel';
+        panel.className = 'personal-panel';
+        panel.hidden = true;
+        document.body.appendChild(panel);
+
+        button.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            renderPanel();
+        });
+
+        panel.addEventListener('click', (event) => {
+            const action = event.target.closest('[data-action]');
+            const game = getCurrentGame();
+            if (!action || !game) return;
+
+            if (action.dataset.action === 'favorite') {
+                toggleFavorite(game.id);
+            } else if (action.dataset.action === 'rate') {
+                const value = parseInt(action.dataset.rating, 10);
+                // Clicking the current rating again removes it
+                setRating(game.id, value === getRating(game.id) ? 0 : value);
+            }
+        });
+
+        // Notes are saved while typing, after a short pause
+        panel.addEventListener('input', (event) => {
+            const field = event.target.closest('.personal-note');
+            if (!field) return;
+
+            clearTimeout(noteTimer);
+            noteTimer = setTimeout(() => setNote(field.dataset.gameId, field.value), CONFIG.noteSaveDelay);
+        });
+
+        panel.addEventListener('focusout', (event) => {
+            const field = event.target.closest('.personal-note');
+            if (!field) return;
+
+            clearTimeout(noteTimer);
+            if (field.value !== getNote(field.dataset.gameId)) {
+                setNote(field.dataset.gameId, field.value);
+            }
+        });
+
+        updateButton();
+    }
+
+    /**
+     * Create the filter next to the game selector
+     */
+    function createSelectorFilter() {
+        const selector = document.getElementById('game-selector');
+        if (!selector || document.getElementById('game-filter')) return;
+
+        const filter = document.createElement('select');
+        filter.id = 'game-filter';
+        filter.className = 'game-dropdown game-filter';
+        selector.parentNode.insertBefore(filter, selector);
+        renderSelectorFilter();
+
+        filter.addEventListener('change', () => setSelectorFilter(filter.value));
+    }
+
+    /**
+     * Fill the selector filter with the sets
+     */
+    function renderSelectorFilter() {
+        const filter = document.getElementById('game-filter');
+        if (!filter) return;
+
+        filter.setAttribute('aria-label', t('filterLabel'));
+        filter.innerHTML = getSets().map(set => `<option value="${set.id}">${escapeHTML(set.label)}</option>`).join('');
+        filter.value = selectorFilter;
+    }
+
+    /**
+     * Create the button, panel and selector filter
+     */
+    function initialize() {
+        createPanel();
+        createSelectorFilter();
+    }
+
+    // Start when the DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+        initialize();
+    }
+
+    window.addEventListener('personalLibraryChanged', () => {
+        renderPanel();
+
+        // A game may have left or joined the set the selector shows
+        if (selectorFilter !== 'all' && typeof window.populateGameDropdown === 'function') {
+            window.populateGameDropdown();
+        }
+    });
+
+    window.addEventListener('languageChanged', () => {
+        renderSelectorFilter();
+        renderPanel();
+    });
+
+    // Export API to window for external access
+    window.PersonalLibrary = {
+        getFavorites,
+        isFavorite,
+        setFavorite,
+        toggleFavorite,
+        getRecentlyPlayed,
+        addRecentlyPlayed,
+        getRating,
+        setRating,
+        getNote,
+        setNote,
+        getSet,
+        getSets,
+        filterGames,
+        getSelectorFilter,
+        setSelectorFilter,
+        formatRating
+    };
+})();
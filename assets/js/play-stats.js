@@ -0,0 +1,375 @@
+/**
+ * Play Stats
+ *
+ * Local play-time statistics per game, without a tracker: total time played,
+ * number of sessions and when the game was last played, stored in localStorage.
+ *
+ * A session starts with the "gameLoaded" event and ends when the player is
+ * replaced (another game or a local file) or the tab is closed. Time isn't
+ * counted while the tab is hidden. The time played so far is saved every
+ * CONFIG.saveInterval and when the tab is hidden, so closing the tab loses
+ * nothing.
+ *
+ * The stats are shown in the info panel (script.js) and in a stats panel,
+ * opened with the 📊 button, that can be sorted by time played.
+ */
+
+(function() {
+    console.log('[Play Stats] Initializing...');
+
+    // Configuration
+    const CONFIG = {
+        // localStorage key of the stats
+        storageKey: 'gameLoader_playStats',
+
+        // How often the running session is saved (ms)
+        saveInterval: 15000,
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Play Stats]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Play Stats]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Play Stats]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Play Stats]', msg)
+    };
+
+    // Current session: { gameId, player, runningSince (null while paused), observer, timer }
+    let session = null;
+
+    // Stats panel sort: column and direction
+    const sortState = {
+        column: 'time',
+        descending: true
+    };
+
+    /**
+     * Get a translated string by key, with optional {name} variables (see i18n.js)
+     */
+    function t(key, vars) {
+        return window.I18n.t(key, vars);
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Read the stats of every game: { gameId: { time, sessions, lastPlayed } }
+     */
+    function readStats() {
+        try {
+            const stats = JSON.parse(localStorage.getItem(CONFIG.storageKey));
+            return stats && typeof stats === 'object' && !Array.isArray(stats) ? stats : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Save the stats and tell the page
+     */
+    function writeStats(stats) {
+        try {
+            localStorage.setItem(CONFIG.storageKey, JSON.stringify(stats));
+        } catch (error) {
+            Logger.error(`Could not save the play stats: ${error.message}`);
+            return;
+        }
+        window.dispatchEvent(new CustomEvent('playStatsChanged'));
+    }
+
+    /**
+     * Update the stats of one game
+     */
+    function updateGameStats(gameId, changes) {
+        const stats = readStats();
+        const entry = stats[gameId] || { time: 0, sessions: 0, lastPlayed: null };
+        stats[gameId] = changes(entry) || entry;
+        writeStats(stats);
+    }
+
+    /**
+     * Get the stats of a game, or null when it was never played.
+     * time is in milliseconds and lastPlayed a timestamp.
+     */
+    function getGameStats(gameId) {
+        if (!gameId) return null;
+        return readStats()[gameId] || null;
+    }
+
+    /**
+     * Get the stats of every played game, with its catalog entry: [{ gameId, game, time, sessions, lastPlayed }]
+     */
+    function getAllStats() {
+        return Object.entries(readStats()).map(([gameId, entry]) => ({
+            gameId,
+            game: window.CatalogStore.getGame(gameId),
+            ...entry
+        }));
+    }
+
+    /**
+     * Remove all stats
+     */
+    function resetStats() {
+        writeStats({});
+        Logger.info('Play stats cleared');
+    }
+
+    /**
+     * Format a duration in milliseconds for display in the current language (1 h 05 min, 12 min, 40 s)
+     */
+    function formatDuration(ms) {
+        const seconds = Math.floor((ms || 0) / 1000);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+
+        if (hours > 0) return t('statsDurationHours', { hours, minutes: String(minutes).padStart(2, '0') });
+        if (minutes > 0) return t('statsDurationMinutes', { minutes });
+        return t('statsDurationSeconds', { seconds });
+    }
+
+    /**
+     * Format a timestamp for display in the current language
+     */
+    function formatDate(timestamp) {
+        if (!timestamp) return '-';
+        return new Date(timestamp).toLocaleString(window.I18n.getLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * Add the time played since the last save to the current session's game
+     */
+    function saveProgress() {
+        if (!session || session.runningSince === null) return;
+
+        const now = Date.now();
+        const elapsed = now - session.runningSince;
+        session.runningSince = now;
+
+        updateGameStats(session.gameId, entry => {
+            entry.time += elapsed;
+            entry.lastPlayed = now;
+        });
+        Logger.debug(`${session.gameId}: +${Math.round(elapsed / 1000)} s`);
+    }
+
+    /**
+     * Stop counting time until resume() (tab hidden)
+     */
+    function pause() {
+        if (!session || session.runningSince === null) return;
+        saveProgress();
+        session.runningSince = null;
+        Logger.debug(`Paused ${session.gameId}`);
+    }
+
+    /**
+     * Count time again after pause()
+     */
+    function resume() {
+        if (!session || session.runningSince !== null) return;
+        session.runningSince = Date.now();
+        Logger.debug(`Resumed ${session.gameId}`);
+    }
+
+    /**
+     * End the current session and save its time
+     */
+    function endSession() {
+        if (!session) return;
+
+        saveProgress();
+        clearInterval(session.timer);
+        if (session.observer) session.observer.disconnect();
+        Logger.info(`Session of ${session.gameId} ended`);
+        session = null;
+    }
+
+    /**
+     * Start a session for a game that was just loaded in the player
+     */
+    function startSession(game) {
+        endSession();
+
+        const player = document.getElementById('ruffle-instance');
+        const now = Date.now();
+
+        session = {
+            gameId: game.id,
+            player,
+            runningSince: document.hidden ? null : now,
+            observer: null,
+            timer: setInterval(saveProgress, CONFIG.saveInterval)
+        };
+
+        // The session ends when the player is replaced
+        if (player && player.parentNode && typeof MutationObserver !== 'undefined') {
+            session.observer = new MutationObserver(() => {
+                if (session && !session.player.isConnected) endSession();
+            });
+            session.observer.observe(player.parentNode, { childList: true });
+        }
+
+        updateGameStats(game.id, entry => {
+            entry.sessions += 1;
+            entry.lastPlayed = now;
+        });
+        Logger.info(`Session of ${game.id} started`);
+    }
+
+    /**
+     * Sort the stats by the panel's sort column
+     */
+    function sortStats(stats) {
+        const name = entry => (entry.game && entry.game.name) || entry.gameId;
+        const compare = {
+            name: (a, b) => name(a).localeCompare(name(b), undefined, { sensitivity: 'base' }),
+            time: (a, b) => a.time - b.time,
+            sessions: (a, b) => a.sessions - b.sessions,
+            lastPlayed: (a, b) => (a.lastPlayed || 0) - (b.lastPlayed || 0)
+        }[sortState.column];
+
+        return stats.sort((a, b) => (sortState.descending ? -1 : 1) * compare(a, b));
+    }
+
+    /**
+     * Render the stats panel
+     */
+    function renderPanel() {
+        const panel = document.getElementById('stats-panel');
+        if (!panel || panel.hidden) return;
+
+        const stats = sortStats(getAllStats());
+        const totalTime = stats.reduce((sum, entry) => sum + entry.time, 0);
+        const totalSessions = stats.reduce((sum, entry) => sum + entry.sessions, 0);
+
+        const header = [
+            ['name', t('statsGame')],
+            ['time', t('statsTime')],
+            ['sessions', t('statsSessions')],
+            ['lastPlayed', t('statsLastPlayed')]
+        ].map(([column, label]) => {
+            const arrow = sortState.column === column ? (sortState.descending ? ' ▼' : ' ▲') : '';
+            return `<th><button class="stats-sort" data-column="${column}">${label}${arrow}</button></th>`;
+        }).join('');
+
+        const rows = stats.map(entry => `
+            <tr>
+                <td title="${escapeHTML(entry.gameId)}">${escapeHTML((entry.game && entry.game.name) || entry.gameId)}</td>
+                <td>${formatDuration(entry.time)}</td>
+                <td>${entry.sessions}</td>
+                <td>${formatDate(entry.lastPlayed)}</td>
+            </tr>
+        `).join('');
+
+        panel.innerHTML = `
+            <h3>${t('statsTitle')}</h3>
+            <div class="stats-summary">${t('statsSummary', { count: stats.length, time: formatDuration(totalTime), sessions: totalSessions })}</div>
+            ${stats.length ? `
+                <table class="stats-table">
+                    <thead><tr>${header}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <button class="stats-action" data-action="reset">${t('statsReset')}</button>
+            ` : `<p class="stats-empty">${t('statsEmpty')}</p>`}
+        `;
+    }
+
+    /**
+     * Create the stats button and panel
+     */
+    function createPanel() {
+        const infoButtonContainer = document.querySelector('.info-button');
+        if (!infoButtonContainer || document.getElementById('stats-btn')) return;
+
+        const button = document.createElement('button');
+        button.id = 'stats-btn';
+        button.textContent = '📊';
+        button.title = t('statsTitle');
+        infoButtonContainer.prepend(button);
+
+        const panel = document.createElement('div');
+        panel.id = 'stats-panel';
+        panel.className = 'stats-panel';
+        panel.hidden = true;
+        document.body.appendChild(panel);
+
+        button.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            renderPanel();
+        });
+
+        panel.addEventListener('click', (event) => {
+            const sort = event.target.closest('.stats-sort');
+            if (sort) {
+                // Clicking the sorted column again reverses the order
+                if (sortState.column === sort.dataset.column) {
+                    sortState.descending = !sortState.descending;
+                } else {
+                    sortState.column = sort.dataset.column;
+                    sortState.descending = sort.dataset.column !== 'name';
+                }
+                renderPanel();
+                return;
+            }
+
+            const action = event.target.closest('.stats-action');
+            if (action && action.dataset.action === 'reset' && confirm(t('statsResetConfirm'))) {
+                resetStats();
+            }
+        });
+
+        window.addEventListener('languageChanged', () => {
+            button.title = t('statsTitle');
+            renderPanel();
+        });
+    }
+
+    // Start when the DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', createPanel);
+    } else {
+        createPanel();
+    }
+
+    window.addEventListener('gameLoaded', (event) => {
+        if (event.detail && event.detail.game) startSession(event.detail.game);
+    });
+
+    // Don't count time while the tab is hidden
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            pause();
+        } else {
+            resume();
+        }
+    });
+
+    // Save the running session when the tab is closed (or kept in the back-forward cache)
+    window.addEventListener('pagehide', pause);
+    window.addEventListener('pageshow', () => {
+        if (!document.hidden) resume();
+    });
+
+    window.addEventListener('playStatsChanged', renderPanel);
+
+    // Export API to window for external access
+    window.PlayStats = {
+        getGameStats,
+        getAllStats,
+        resetStats,
+        formatDuration,
+        formatDate,
+        getCurrentSession: () => session ? { gameId: session.gameId, paused: session.runningSince === null } : null
+    };
+})();
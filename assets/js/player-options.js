@@ -0,0 +1,279 @@
+/**
+ * Player Options
+ *
+ * Builds the options passed to Ruffle's player.load() for a catalog entry, so
+ * every load path (script.js, url-engine.js) honors the same per-game settings.
+ *
+ * Precedence, lowest to highest:
+ *   1. window.RufflePlayer.config (site defaults)
+ *   2. game.ruffleOptions (scale, quality, frameRate, backgroundColor, letterbox...)
+ *   3. game.flashvars (merged into Ruffle's "parameters")
+ *   4. overrides passed by the caller
+ *
+ * The redirector rules (redirector.js) are added to Ruffle's urlRewriteRules,
+ * after any rules in the site config.
+ *
+ * Shared links can carry player settings (?quality=low&volume=50&t=3...).
+ * readLinkSettings() validates them and keeps them for the game the link
+ * opens; loadGame() in script.js takes them and passes them as overrides.
+ */
+
+(function() {
+    console.log('[Player Options] Module loaded');
+
+    // Player settings accepted in links: how each value is read and what is expected.
+    // parse() returns the normalized value, or undefined when the value is invalid.
+    const LINK_SETTINGS = {
+        quality: {
+            expected: 'low, medium, high or best',
+            parse: value => ['low', 'medium', 'high', 'best'].find(quality => quality === value.toLowerCase())
+        },
+        scale: {
+            expected: 'showAll, exactFit, noBorder or noScale',
+            parse: value => ['showAll', 'exactFit', 'noBorder', 'noScale'].find(scale => scale.toLowerCase() === value.toLowerCase())
+        },
+        volume: {
+            expected: 'a number from 0 to 100',
+            parse: value => {
+                const volume = Number(value);
+                return value !== '' && volume >= 0 && volume <= 100 ? Math.round(volume) : undefined;
+            }
+        },
+        muted: {
+            expected: 'true or false',
+            parse: parseBoolean
+        },
+        autoplay: {
+            expected: 'on, off or auto',
+            parse: value => {
+                const autoplay = { true: 'on', false: 'off' }[parseBoolean(value)] || value.toLowerCase();
+                return ['on', 'off', 'auto'].includes(autoplay) ? autoplay : undefined;
+            }
+        },
+        bg: {
+            expected: 'a hex color (000000 or #000000)',
+            parse: value => /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) ? `#${value.replace('#', '').toLowerCase()}` : undefined
+        },
+        flashvars: {
+            expected: 'an encoded query string (lang%3Dpt%26level%3D2)',
+            parse: value => {
+                const parameters = parseFlashvars(value);
+                return Object.keys(parameters).length ? parameters : undefined;
+            }
+        },
+        t: {
+            expected: 'a start delay from 0 to 60 seconds',
+            parse: value => {
+                const delay = Number(value);
+                return value !== '' && delay >= 0 && delay <= 60 ? delay : undefined;
+            }
+        },
+        controls: {
+            expected: 'touch or pad',
+            parse: value => ['touch', 'pad'].find(controls => controls === value.toLowerCase())
+        }
+    };
+
+    // Settings from the page's link, until the game they are for is loaded: { settings, gameRef }
+    let pendingLinkSettings = null;
+
+    // Settings applied to the game in the player
+    let currentLinkSettings = null;
+
+    /**
+     * Read a boolean link value (true/false, 1/0, yes/no)
+     */
+    function parseBoolean(value) {
+        const text = String(value).toLowerCase();
+        if (['true', '1', 'yes', 'on'].includes(text)) return true;
+        if (['false', '0', 'no', 'off'].includes(text)) return false;
+        return undefined;
+    }
+
+    /**
+     * Turn flashvars (query string or object) into an object of strings
+     */
+    function parseFlashvars(flashvars) {
+        if (!flashvars) return {};
+
+        if (typeof flashvars === 'string') {
+            const params = {};
+            new URLSearchParams(flashvars.replace(/^\?/, '')).forEach((value, key) => {
+                params[key] = value;
+            });
+            return params;
+        }
+
+        const params = {};
+        Object.entries(flashvars).forEach(([key, value]) => {
+            params[key] = String(value);
+        });
+        return params;
+    }
+
+    /**
+     * Turn flashvars (query string or object) into a query string, for <embed flashvars="...">
+     */
+    function toQueryString(flashvars) {
+        return new URLSearchParams(parseFlashvars(flashvars)).toString();
+    }
+
+    /**
+     * Build the player.load() options for a game (without the url or data)
+     */
+    function build(game, overrides = {}) {
+        const globalConfig = (window.RufflePlayer && window.RufflePlayer.config) || {};
+        const gameOptions = (game && game.ruffleOptions) || {};
+
+        const parameters = {
+            ...parseFlashvars(globalConfig.parameters),
+            ...parseFlashvars(gameOptions.parameters),
+            ...parseFlashvars(game && game.flashvars),
+            ...parseFlashvars(overrides.parameters)
+        };
+
+        const options = {
+            ...globalConfig,
+            ...gameOptions,
+            ...overrides
+        };
+
+        if (Object.keys(parameters).length > 0) {
+            options.parameters = parameters;
+        } else {
+            delete options.parameters;
+        }
+
+        // Rewrite the requests made inside the emulator (loadMovie, URLLoader...) with the same rules
+        if (window.Redirector) {
+            options.urlRewriteRules = [...(options.urlRewriteRules || []), ...window.Redirector.getRuffleRules()];
+        }
+
+        return options;
+    }
+
+    /**
+     * Validate the player settings of a link's query string.
+     * Returns { settings, errors }: the valid settings, and a message for each value that was ignored.
+     */
+    function parseLinkSettings(search) {
+        const params = search instanceof URLSearchParams ? search : new URLSearchParams(search);
+        const settings = {};
+        const errors = [];
+
+        Object.entries(LINK_SETTINGS).forEach(([name, setting]) => {
+            if (!params.has(name)) return;
+
+            const raw = params.get(name).trim();
+            const value = setting.parse(raw);
+            if (value === undefined) {
+                errors.push(`Ignoring ${name}=${raw}: expected ${setting.expected}`);
+            } else {
+                settings[name] = value;
+            }
+        });
+
+        return { settings, errors };
+    }
+
+    /**
+     * Turn link settings into player.load() overrides for build().
+     * volume and muted are not load options: they are set on the player once it has loaded.
+     */
+    function toRuffleOptions(settings) {
+        const options = {};
+        if (!settings) return options;
+
+        if (settings.quality) options.quality = settings.quality;
+        if (settings.scale) options.scale = settings.scale;
+        if (settings.autoplay) options.autoplay = settings.autoplay;
+        if (settings.bg) options.backgroundColor = settings.bg;
+        if (settings.flashvars) options.parameters = settings.flashvars;
+
+        return options;
+    }
+
+    /**
+     * Turn link settings back into query parameters, for share links
+     */
+    function toLinkParams(settings) {
+        const params = new URLSearchParams();
+        if (!settings) return params;
+
+        Object.keys(LINK_SETTINGS).forEach(name => {
+            const value = settings[name];
+            if (value === undefined || value === false) return;
+            if (name === 'flashvars') {
+                params.set(name, toQueryString(value));
+            } else if (name === 'bg') {
+                params.set(name, value.replace('#', ''));
+            } else {
+                params.set(name, String(value));
+            }
+        });
+
+        return params;
+    }
+
+    /**
+     * Read the player settings of a link and keep them for the game it opens
+     * (gameRef: the id or slug in the link, or null for the next game loaded).
+     * Returns the messages of the values that were ignored.
+     */
+    function readLinkSettings(search, gameRef) {
+        const { settings, errors } = parseLinkSettings(search);
+        pendingLinkSettings = Object.keys(settings).length ? { settings, gameRef: gameRef || null } : null;
+        return errors;
+    }
+
+    /**
+     * Get the link settings for a game that is being loaded, once: they only apply to
+     * the load the link was opened for. Returns null when the link is for another game.
+     */
+    function takeLinkSettings(gameId) {
+        currentLinkSettings = null;
+        if (!pendingLinkSettings) return null;
+
+        const { settings, gameRef } = pendingLinkSettings;
+        const linkGame = gameRef && window.CatalogStore ? window.CatalogStore.findGame(gameRef) : null;
+        if (gameRef && (!linkGame || linkGame.id !== gameId)) return null;
+
+        pendingLinkSettings = null;
+        currentLinkSettings = settings;
+        return settings;
+    }
+
+    /**
+     * Get the settings of the game in the player, for share links: the link settings
+     * it was loaded with, and the volume if it was changed in the player since
+     */
+    function getCurrentSettings() {
+        const settings = { ...(currentLinkSettings || {}) };
+
+        const player = document.getElementById('ruffle-instance');
+        if (player && typeof player.volume === 'number') {
+            const volume = Math.round(player.volume * 100);
+            const linkVolume = settings.muted ? 0 : settings.volume;
+            if (volume !== (linkVolume === undefined ? 100 : linkVolume)) {
+                delete settings.muted;
+                settings.volume = volume;
+            }
+        }
+
+        return settings;
+    }
+
+    // Export API to window for external access
+    window.PlayerOptions = {
+        build,
+        parseFlashvars,
+        toQueryString,
+        LINK_SETTINGS: Object.keys(LINK_SETTINGS),
+        parseLinkSettings,
+        toRuffleOptions,
+        toLinkParams,
+        readLinkSettings,
+        takeLinkSettings,
+        getCurrentSettings
+    };
+})();
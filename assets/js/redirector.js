@@ -3,90 +3,440 @@
  * Redirects requests from various URLs to their new locations
  * 
  * This module intercepts XMLHttpRequest and fetch requests to redirect them properly.
+ * Rules are wildcard or regex patterns with priorities, loaded from redirect-rules.json
+ * and from the "redirects" field of the loaded game's catalog entry.
+ * The same rules are handed to Ruffle (urlRewriteRules, see player-options.js) so
+ * requests made inside the emulator are rewritten too.
  */
 
 (function() {
     console.log('[URL Redirector] Module loaded and active');
 
-    // Define URL mappings
-    const urlMappings = [
-        {
-            from: 'https://cdn.nitrome.com/components/NitromeAPI.pkg',
-            to: 'https://cdn.xperia.pt/NitromeAPI.pkg'
-        },
-        {
-            from: 'https://jogos.ipv7.pt/txtGDE.swf',
-            to: 'https://cdn.xperia.pt/laserquest/txtGDE.swf'
-        },
-        {
-            from: 'https://jogos.ipv7.pt/faq.swf',
-            to: 'https://cdn.xperia.pt/laserquest/faq.swf'
-        },
-        {
-            from: 'https://jogos.ipv7.pt/hora.swf',
-            to: 'https://cdn.xperia.pt/laserquest/hora.swf'
-        },
-        {
-            from: 'https://jogos.ipv7.pt/nov.swf',
-            to: 'https://cdn.xperia.pt/laserquest/nov.swf'
-        },
-        {
-            from: 'https://jogos.ipv7.pt/jogo.swf',
-            to: 'https://cdn.xperia.pt/laserquest/jogo.swf'
-        },
-        {
-            from: 'https://jogos.ipv7.pt/contact.swf',
-            to: 'https://cdn.xperia.pt/laserquest/contact.swf'
-        },
-        {
-            from: 'https://jogos.ipv7.pt/centro.swf',
-            to: 'https://cdn.xperia.pt/laserquest/centro.swf'
-        },
-        {
-            from: 'https://jogos.ipv7.pt/activ.swf',
-            to: 'https://cdn.xperia.pt/laserquest/activ.swf'
+    // Keep the original fetch for loading the rules file
+    const originalFetch = window.fetch;
+
+    // Configuration
+    const CONFIG = {
+        // Rules file loaded at startup (see docs/redirector-README.md)
+        rulesUrl: 'redirect-rules.json',
+
+        // Number of requests kept in the request log
+        maxRequests: 500
+    };
+
+    // Active rules, highest priority first
+    let rules = [];
+
+    // Rules added without an id get a generated one
+    let nextRuleId = 1;
+
+    // Request log, oldest first, and the functions notified when it changes
+    let requests = [];
+    let nextRequestId = 1;
+    const requestListeners = new Set();
+
+    /**
+     * Escape text for use in a regular expression
+     */
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Compile a wildcard pattern to a regular expression.
+     * Each "*" matches any run of characters up to the query string and becomes
+     * a capture group ($1, $2, ...). The pattern is matched from the start of the URL;
+     * whatever follows the match (e.g. the query string) is kept.
+     */
+    function compileWildcard(pattern) {
+        return new RegExp('^' + pattern.split('*').map(escapeRegExp).join('([^?#]*)'));
+    }
+
+    /**
+     * Compile the "to" of a rule to a regular expression matching the URLs it produces.
+     * Each $n becomes a capture group like the "*" of compileWildcard. Returns
+     * { pattern, groups }, groups being the $n numbers in the order they appear.
+     */
+    function compileOutput(to) {
+        const groups = [];
+        const source = to.split(/\$(\d+)/).map((part, index) => {
+            if (index % 2 === 0) return escapeRegExp(part);
+            groups.push(Number(part));
+            return '([^?#]*)';
+        }).join('');
+        return { pattern: new RegExp('^' + source), groups };
+    }
+
+    /**
+     * Check a rule definition. Returns an error message or null.
+     */
+    function validateRule(rule) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return 'must be an object';
+        if (typeof rule.to !== 'string' || rule.to === '') return '"to" must be a non-empty string';
+        if ((rule.from === undefined) === (rule.regex === undefined)) return 'must have either "from" or "regex"';
+        if (rule.from !== undefined && (typeof rule.from !== 'string' || rule.from === '')) return '"from" must be a non-empty string';
+        if (rule.priority !== undefined && typeof rule.priority !== 'number') return '"priority" must be a number';
+        if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') return '"enabled" must be true or false';
+
+        if (rule.regex !== undefined) {
+            try {
+                new RegExp(rule.regex, rule.flags || '');
+            } catch (error) {
+                return `"regex" is invalid: ${error.message}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Add a rule.
+     *
+     * rule: {
+     *   id, description,
+     *   from: wildcard pattern | regex: regular expression (+ flags),
+     *   to: replacement ($1, $2, ... for the captures),
+     *   priority (default 0, higher runs first), enabled (default true)
+     * }
+     * source: where the rule came from ('config', 'game' or 'runtime')
+     *
+     * Returns the rule id, or null if the rule is invalid.
+     */
+    function addRule(rule, source = 'runtime') {
+        const error = validateRule(rule);
+        if (error) {
+            console.warn(`[URL Redirector] Ignoring rule ${rule && rule.id ? `"${rule.id}" ` : ''}(${source}): ${error}`);
+            return null;
+        }
+
+        const id = rule.id || `rule-${nextRuleId++}`;
+        removeRule(id);
+
+        rules.push({
+            id,
+            description: rule.description || '',
+            from: rule.from,
+            regex: rule.regex,
+            flags: rule.flags,
+            to: rule.to,
+            priority: rule.priority || 0,
+            enabled: rule.enabled !== false,
+            source,
+            pattern: rule.regex !== undefined ? new RegExp(rule.regex, (rule.flags || '').replace(/[gy]/g, '')) : compileWildcard(rule.from),
+            output: compileOutput(rule.to)
+        });
+
+        // Stable sort keeps the order rules were added in for equal priorities
+        rules.sort((a, b) => b.priority - a.priority);
+        return id;
+    }
+
+    /**
+     * Remove a rule by id
+     */
+    function removeRule(id) {
+        const count = rules.length;
+        rules = rules.filter(rule => rule.id !== id);
+        return rules.length !== count;
+    }
+
+    /**
+     * Enable or disable a rule by id
+     */
+    function setRuleEnabled(id, enabled) {
+        const rule = rules.find(rule => rule.id === id);
+        if (!rule) return false;
+
+        rule.enabled = enabled;
+        console.log(`[URL Redirector] Rule "${id}" ${enabled ? 'enabled' : 'disabled'}`);
+        return true;
+    }
+
+    /**
+     * Get a copy of the rules, highest priority first
+     */
+    function getRules() {
+        return rules.map(({ pattern, output, ...rule }) => ({ ...rule }));
+    }
+
+    /**
+     * Find the first enabled rule matching a URL.
+     * Returns { rule, url } with the redirected URL, or null.
+     */
+    function match(url) {
+        if (typeof url !== 'string') return null;
+
+        for (const rule of rules) {
+            if (rule.enabled && rule.pattern.test(url)) {
+                const { pattern, output, ...info } = rule;
+                return { rule: info, url: url.replace(rule.pattern, rule.to) };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the enabled rule whose output a URL is, for requests Ruffle already rewrote with
+     * urlRewriteRules before they reached the page. Returns { rule, url } with the URL before
+     * the rewrite, or null for it when it can't be worked out (regex rules, wildcards not
+     * used in "to"). Returns null when no rule produces the URL.
+     */
+    function matchRewritten(url) {
+        if (typeof url !== 'string') return null;
+
+        for (const rule of rules) {
+            const found = rule.enabled && url.match(rule.output.pattern);
+            if (!found) continue;
+
+            const { pattern, output, ...info } = rule;
+            let originalUrl = null;
+
+            // Put the captures back in the "*" of the wildcard, and check that the rule gives the URL again
+            const stars = rule.from !== undefined ? rule.from.split('*').length - 1 : 0;
+            const values = {};
+            rule.output.groups.forEach((group, index) => {
+                values[group] = found[index + 1];
+            });
+            if (rule.from !== undefined && Array.from({ length: stars }, (value, index) => index + 1).every(group => group in values)) {
+                const candidate = rule.from.split('*').reduce((text, part, index) => text + values[index] + part) + url.slice(found[0].length);
+                const result = match(candidate);
+                if (result && result.rule.id === rule.id && result.url === url) originalUrl = candidate;
+            }
+
+            return { rule: info, url: originalUrl };
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve a URL (string or URL object) against the page, so relative URLs can match rules
+     */
+    function resolveUrl(url) {
+        const text = url instanceof URL ? url.href : String(url);
+        try {
+            return new URL(text, document.baseURI).href;
+        } catch (error) {
+            return text;
         }
-    ];
+    }
+
+    /**
+     * Redirect a URL. Returns { url, rule }, with the URL unchanged and rule null when no rule applies.
+     */
+    function redirect(url) {
+        if (typeof url !== 'string' && !(url instanceof URL)) return { url, rule: null };
 
-    // Helper function to redirect URLs
+        const absoluteUrl = resolveUrl(url);
+        const result = match(absoluteUrl);
+        if (!result || result.url === absoluteUrl) return { url, rule: null };
+
+        console.log(`[URL Redirector] Redirecting (${result.rule.id}): ${absoluteUrl} → ${result.url}`);
+        return result;
+    }
+
+    // Helper function to redirect URLs (strings or URL objects)
     function redirectUrl(url) {
-        if (typeof url !== 'string') return url;
-        
-        for (const mapping of urlMappings) {
-            if (url.includes(mapping.from)) {
-                const newUrl = url.replace(mapping.from, mapping.to);
-                console.log(`[URL Redirector] Redirecting: ${url} → ${newUrl}`);
-                return newUrl;
+        return redirect(url).url;
+    }
+
+    /**
+     * Notify the request log listeners
+     */
+    function notifyRequestListeners(entry) {
+        requestListeners.forEach(listener => {
+            try {
+                listener(entry);
+            } catch (error) {
+                console.error('[URL Redirector] Request listener failed:', error);
             }
+        });
+    }
+
+    /**
+     * Redirect the URL of an intercepted request and add it to the request log.
+     * Returns the log entry; entry.url is the URL to request.
+     *
+     * Requests made inside Ruffle arrive already rewritten by its urlRewriteRules: they
+     * are logged with the rule and the URL before the rewrite (null when it can't be
+     * worked out), and rewrittenByRuffle set.
+     */
+    function trackRequest(type, url, method = 'GET') {
+        const result = redirect(url);
+        const rewritten = result.rule ? null : matchRewritten(resolveUrl(url));
+        const entry = {
+            id: nextRequestId++,
+            type,
+            method: String(method).toUpperCase(),
+            originalUrl: rewritten ? rewritten.url : resolveUrl(url),
+            url: result.url,
+            redirectedUrl: result.rule ? result.url : rewritten ? resolveUrl(url) : null,
+            rule: result.rule ? result.rule.id : rewritten ? rewritten.rule.id : null,
+            rewrittenByRuffle: Boolean(rewritten),
+            status: null,
+            error: null,
+            done: false,
+            startedAt: Date.now(),
+            duration: null
+        };
+
+        requests.push(entry);
+        if (requests.length > CONFIG.maxRequests) {
+            requests = requests.slice(-CONFIG.maxRequests);
+        }
+
+        notifyRequestListeners(entry);
+        return entry;
+    }
+
+    /**
+     * Record the outcome of a logged request. status is null when it can't be known
+     * (script and image loads, beacons).
+     */
+    function finishRequest(entry, status, error = null) {
+        if (entry.done) return;
+
+        entry.done = true;
+        entry.status = status;
+        entry.error = error;
+        entry.duration = Date.now() - entry.startedAt;
+        notifyRequestListeners(entry);
+    }
+
+    /**
+     * Finish the log entry of an element request on its load or error event
+     */
+    function watchElement(element, entry) {
+        element.addEventListener('load', () => finishRequest(entry, null), { once: true });
+        element.addEventListener('error', () => finishRequest(entry, null, 'Failed to load'), { once: true });
+    }
+
+    /**
+     * Get a copy of the request log, oldest first
+     */
+    function getRequests() {
+        return requests.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Clear the request log
+     */
+    function clearRequests() {
+        requests = [];
+        notifyRequestListeners(null);
+    }
+
+    /**
+     * Call listener(entry) when a request is logged or finishes (entry is null when the log is cleared).
+     * Returns a function that removes the listener.
+     */
+    function onRequest(listener) {
+        requestListeners.add(listener);
+        return () => requestListeners.delete(listener);
+    }
+
+    /**
+     * Get the enabled rules in Ruffle's urlRewriteRules format: [[RegExp, replacement], ...].
+     * Ruffle applies them with String.replace(), like redirectUrl(), and the first match wins.
+     */
+    function getRuffleRules() {
+        return rules
+            .filter(rule => rule.enabled)
+            .map(rule => [new RegExp(rule.pattern.source, rule.pattern.flags), rule.to]);
+    }
+
+    /**
+     * Replace the rules of the previous game with the "redirects" of a catalog entry.
+     * Called when a game is loaded; pass null to only remove them.
+     */
+    function setGameRules(game) {
+        rules = rules.filter(rule => rule.source !== 'game');
+
+        if (game && Array.isArray(game.redirects)) {
+            game.redirects.forEach((rule, index) => {
+                addRule({ ...rule, id: rule.id || `${game.id}-${index + 1}` }, 'game');
+            });
+        }
+    }
+
+    /**
+     * Load rules from a JSON file: { "version": 1, "rules": [...] }
+     * Uses the original fetch so the request is not redirected itself.
+     */
+    async function loadRules(url) {
+        try {
+            const response = await originalFetch(url, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            const list = Array.isArray(data) ? data : data.rules;
+            if (!Array.isArray(list)) {
+                throw new Error('expected { "rules": [...] }');
+            }
+
+            const added = list.map(rule => addRule(rule, 'config')).filter(Boolean);
+            console.log(`[URL Redirector] Loaded ${added.length} rules from ${url}`);
+            return added;
+        } catch (error) {
+            console.error(`[URL Redirector] Failed to load rules from ${url}:`, error);
+            return [];
         }
-        
-        return url;
     }
 
     // Store the original XMLHttpRequest open method
     const originalXHROpen = XMLHttpRequest.prototype.open;
 
+    // Log entry of the last open() of each XMLHttpRequest
+    const xhrEntries = new WeakMap();
+
     // Override XMLHttpRequest open method
     XMLHttpRequest.prototype.open = function(method, url, async, user, password) {
-        const newUrl = redirectUrl(url);
-        return originalXHROpen.call(this, method, newUrl, async, user, password);
+        const entry = trackRequest('xhr', url, method);
+
+        if (!xhrEntries.has(this)) {
+            this.addEventListener('loadend', () => {
+                const current = xhrEntries.get(this);
+                finishRequest(current, this.status || null, this.status ? null : 'Network error');
+            });
+        }
+        xhrEntries.set(this, entry);
+
+        // Preserve the default async=true when it isn't passed
+        return arguments.length > 2
+            ? originalXHROpen.call(this, method, entry.url, async, user, password)
+            : originalXHROpen.call(this, method, entry.url);
     };
 
     // Patch fetch requests if the browser supports it
     if (window.fetch) {
-        const originalFetch = window.fetch;
-        
         window.fetch = function(resource, init) {
-            if (resource && typeof resource === 'string') {
-                resource = redirectUrl(resource);
+            let entry = null;
+            const method = (init && init.method) || (resource instanceof Request ? resource.method : 'GET');
+
+            if (resource && (typeof resource === 'string' || resource instanceof URL)) {
+                entry = trackRequest('fetch', resource, method);
+                resource = entry.url;
             } else if (resource && resource instanceof Request) {
-                const newUrl = redirectUrl(resource.url);
-                if (newUrl !== resource.url) {
-                    resource = new Request(newUrl, resource);
+                entry = trackRequest('fetch', resource.url, method);
+                if (entry.url !== resource.url) {
+                    resource = new Request(entry.url, resource);
                 }
             }
             
-            return originalFetch.call(this, resource, init);
+            const request = originalFetch.call(this, resource, init);
+            if (!entry) return request;
+
+            return request.then(response => {
+                // Opaque (no-cors) responses don't expose their status
+                finishRequest(entry, response.type === 'opaque' ? null : response.status);
+                return response;
+            }, error => {
+                finishRequest(entry, null, error.message);
+                throw error;
+            });
         };
     }
 
@@ -100,8 +450,9 @@
             
             Object.defineProperty(element, 'src', {
                 set: function(url) {
-                    const newUrl = redirectUrl(url);
-                    originalSetter.call(this, newUrl);
+                    const entry = trackRequest('script', url);
+                    watchElement(this, entry);
+                    originalSetter.call(this, entry.url);
                 },
                 get: Object.getOwnPropertyDescriptor(HTMLScriptElement.prototype, 'src').get
             });
@@ -120,8 +471,10 @@
             if (originalSrcSetter) {
                 Object.defineProperty(element, 'src', {
                     set: function(url) {
-                        const newUrl = redirectUrl(url);
-                        originalSrcSetter.call(this, newUrl);
+                        // Ruffle fetches the SWF itself, that request is logged separately
+                        const entry = trackRequest('embed', url);
+                        finishRequest(entry, null);
+                        originalSrcSetter.call(this, entry.url);
                     },
                     get: Object.getOwnPropertyDescriptor(HTMLEmbedElement.prototype, 'src').get
                 });
@@ -130,8 +483,9 @@
             if (originalDataSetter) {
                 Object.defineProperty(element, 'data', {
                     set: function(url) {
-                        const newUrl = redirectUrl(url);
-                        originalDataSetter.call(this, newUrl);
+                        const entry = trackRequest('object', url);
+                        finishRequest(entry, null);
+                        originalDataSetter.call(this, entry.url);
                     },
                     get: Object.getOwnPropertyDescriptor(HTMLObjectElement.prototype, 'data').get
                 });
@@ -141,6 +495,44 @@
         return element;
     };
 
+    // Patch image src, which also covers new Image()
+    const imageSrc = Object.getOwnPropertyDescriptor(HTMLImageElement.prototype, 'src');
+    if (imageSrc && imageSrc.set) {
+        Object.defineProperty(HTMLImageElement.prototype, 'src', {
+            ...imageSrc,
+            set: function(url) {
+                const entry = trackRequest('image', url);
+                watchElement(this, entry);
+                imageSrc.set.call(this, entry.url);
+            }
+        });
+    }
+
+    // Patch navigator.sendBeacon
+    if (navigator.sendBeacon) {
+        const originalSendBeacon = navigator.sendBeacon;
+        navigator.sendBeacon = function(url, data) {
+            const entry = trackRequest('beacon', url, 'POST');
+            const queued = originalSendBeacon.call(navigator, entry.url, data);
+            finishRequest(entry, null, queued ? null : 'Not queued');
+            return queued;
+        };
+    }
+
+    // Patch the Worker and SharedWorker constructors
+    ['Worker', 'SharedWorker'].forEach(name => {
+        const OriginalWorker = window[name];
+        if (!OriginalWorker) return;
+
+        window[name] = class extends OriginalWorker {
+            constructor(url, options) {
+                const entry = trackRequest(name === 'Worker' ? 'worker' : 'shared-worker', url);
+                super(entry.url, options);
+                finishRequest(entry, null);
+            }
+        };
+    });
+
     // Patch for existing embed and object elements
     function patchExistingElements() {
         // Patch existing embed elements
@@ -173,5 +565,25 @@
         patchExistingElements();
     }
 
+    // Export API to window for external access
+    window.Redirector = {
+        // Resolves once the rules file has been loaded
+        ready: loadRules(CONFIG.rulesUrl),
+        addRule,
+        removeRule,
+        enableRule: (id) => setRuleEnabled(id, true),
+        disableRule: (id) => setRuleEnabled(id, false),
+        getRules,
+        match,
+        redirectUrl,
+        getRuffleRules,
+        getRequests,
+        clearRequests,
+        onRequest,
+        setGameRules,
+        loadRules,
+        validateRule
+    };
+
     console.log('[URL Redirector] started');
 })();
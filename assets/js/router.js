@@ -0,0 +1,459 @@
+/**
+ * Router
+ *
+ * The one place that maps URLs to views on the main page, with back/forward
+ * navigation through the History API:
+ *
+ *   /                     the player's start screen
+ *   /<slug>/              a game (bad-ice-cream)
+ *   /c/<collection>?q=    the library filtered to a collection (nitrome, demos...)
+ *   /search?q=            the library with a search
+ *   anything else         a not-found view
+ *
+ * Older links keep working: /Bad_Ice_Cream (an id), /bad-ice-cream?id=... and
+ * /?id=... are redirected to the game's /<slug>/ URL with replaceState. Game
+ * URLs end with a slash, like the pre-rendered pages of tools/build-pages.js
+ * (<slug>/index.html) and their canonical URLs.
+ *
+ * Games loaded some other way (dropdown, library, host page) dispatch
+ * "gameLoaded", and the router pushes their URL. The library reports its
+ * search and collection with "libraryChanged".
+ */
+
+(function() {
+    console.log('[Router] Initializing...');
+
+    // Configuration
+    const CONFIG = {
+        // Routes, matched in order against the path after the site root (<base href>).
+        // ":name" segments are parameters, and "directory" routes end with a slash. The first
+        // segment of a new route also goes in CatalogStore.RESERVED_SLUGS, so no game can take it.
+        routes: [
+            { name: 'home', path: '' },
+            { name: 'search', path: 'search' },
+            { name: 'collection', path: 'c/:collection' },
+            { name: 'game', path: ':slug', directory: true }
+        ],
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Router]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Router]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Router]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Router]', msg)
+    };
+
+    // Set once the catalog is loaded and the first route is shown
+    let started = false;
+
+    // Set while the router changes the views, so their change events aren't taken for user navigation
+    let applying = false;
+
+    /**
+     * Get a translated string by key, with optional {name} variables (see i18n.js)
+     */
+    function t(key, vars) {
+        return window.I18n.t(key, vars);
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Get the URL of the site root (index.html sets <base href>). On the per-locale pages
+     * (/lang/fr-fr/..., see i18n.js) it is the locale's folder, so every route keeps the locale.
+     */
+    function getSiteRoot() {
+        const locale = window.I18n.getUrlLocale();
+        return locale ? window.I18n.getLocaleRoot(locale) : new URL('./', document.baseURI);
+    }
+
+    /**
+     * Match a route's path against the path segments, returns its parameters or null
+     */
+    function matchRoute(route, segments) {
+        const parts = route.path.split('/').filter(Boolean);
+        if (parts.length !== segments.length) return null;
+
+        const params = {};
+        for (let i = 0; i < parts.length; i++) {
+            if (parts[i].startsWith(':')) {
+                params[parts[i].slice(1)] = segments[i];
+            } else if (parts[i] !== segments[i]) {
+                return null;
+            }
+        }
+        return params;
+    }
+
+    /**
+     * Parse a URL into a route: { name, params, query }. Unknown paths give the "notFound" route.
+     */
+    function parseUrl(href = window.location.href) {
+        const url = new URL(href, getSiteRoot());
+        const rootPath = getSiteRoot().pathname;
+        const path = url.pathname.startsWith(rootPath) ? url.pathname.slice(rootPath.length) : url.pathname;
+
+        let segments;
+        try {
+            segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (error) {
+            return { name: 'notFound', params: { path: url.pathname }, query: url.searchParams };
+        }
+
+        for (const route of CONFIG.routes) {
+            const params = matchRoute(route, segments);
+            if (params) return { name: route.name, params, query: url.searchParams };
+        }
+        return { name: 'notFound', params: { path: url.pathname }, query: url.searchParams };
+    }
+
+    /**
+     * Build the URL of a route, with optional query parameters
+     */
+    function buildUrl(name, params = {}, query = {}) {
+        const route = CONFIG.routes.find(entry => entry.name === name);
+        if (!route) throw new Error(`Unknown route: ${name}`);
+
+        const path = route.path.split('/').filter(Boolean)
+            .map(part => encodeURIComponent(part.startsWith(':') ? params[part.slice(1)] : part))
+            .join('/');
+
+        const url = new URL(route.directory && path ? `${path}/` : path, getSiteRoot());
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') url.searchParams.set(key, value);
+        });
+        return url.href;
+    }
+
+    /**
+     * Get the URL of a game (catalog entry or id)
+     */
+    function getGameUrl(game, query) {
+        const entry = typeof game === 'string' ? window.CatalogStore.getGame(game) : game;
+        if (!entry) return null;
+        return buildUrl('game', { slug: window.CatalogStore.createSlug(entry.name || entry.id) }, query);
+    }
+
+    /**
+     * Get the URL of the library: a collection, a search, or both
+     */
+    function getLibraryUrl(collection, query) {
+        return collection && collection !== 'all'
+            ? buildUrl('collection', { collection }, { q: query })
+            : buildUrl('search', {}, { q: query });
+    }
+
+    /**
+     * Add the parameters of the current URL that outlive a view (lang...) to a URL. Player settings
+     * from a link only belong to the game it opened, and ?id= and ?q= to their own views.
+     */
+    function keepParams(href) {
+        const url = new URL(href);
+        new URLSearchParams(window.location.search).forEach((value, key) => {
+            if (key !== 'id' && key !== 'q' && !url.searchParams.has(key) && !window.PlayerOptions.LINK_SETTINGS.includes(key)) {
+                url.searchParams.append(key, value);
+            }
+        });
+        return url.href;
+    }
+
+    /**
+     * Get the game a URL names, before the catalog is loaded: the slug or id, or ?id= on older links
+     */
+    function getGameRef(href) {
+        const route = parseUrl(href);
+        if (route.name !== 'game' && route.name !== 'home') return null;
+        return route.query.get('id') || route.params.slug || null;
+    }
+
+    /**
+     * Check whether a collection has games (see library.js)
+     */
+    function isCollection(collection) {
+        return Boolean(window.GameLibrary) && window.CatalogStore.getGames().some(game => window.GameLibrary.getCollection(game) === collection);
+    }
+
+    /**
+     * Resolve a parsed route against the catalog. Returns the route with its game, or
+     * { redirect } for older game links, or the notFound route.
+     */
+    function resolveRoute(route) {
+        const notFound = { name: 'notFound', params: { path: window.location.pathname }, query: route.query };
+
+        if (route.name === 'home' && route.query.get('id')) {
+            route = { ...route, name: 'game', params: { slug: route.query.get('id') } };
+        }
+
+        if (route.name === 'game') {
+            const game = window.CatalogStore.findGame(route.params.slug) || window.CatalogStore.findGame(route.query.get('id'));
+            if (!game) return notFound;
+
+            // /Bad_Ice_Cream, /bad-ice-cream and ?id= links move to the game's URL, keeping the other parameters
+            const slug = window.CatalogStore.createSlug(game.name || game.id);
+            if (route.params.slug !== slug || route.query.has('id') || !window.location.pathname.endsWith('/')) {
+                const url = new URL(getGameUrl(game));
+                route.query.forEach((value, key) => {
+                    if (key !== 'id') url.searchParams.append(key, value);
+                });
+                return { redirect: url.href };
+            }
+            return { ...route, game };
+        }
+
+        if (route.name === 'collection' && !isCollection(route.params.collection)) {
+            return notFound;
+        }
+
+        return route;
+    }
+
+    /**
+     * Run view changes without reporting them back as navigation
+     */
+    function applyViews(callback) {
+        applying = true;
+        try {
+            callback();
+        } finally {
+            applying = false;
+        }
+    }
+
+    /**
+     * Get the not-found view, created on first use in place of the player
+     */
+    function getNotFoundView() {
+        let view = document.getElementById('not-found');
+        if (view) return view;
+
+        const main = document.querySelector('main');
+        if (!main) return null;
+
+        view = document.createElement('section');
+        view.id = 'not-found';
+        view.className = 'not-found-view';
+        view.hidden = true;
+        main.prepend(view);
+        return view;
+    }
+
+    /**
+     * Show the not-found view for a path, with a search for the words in it
+     */
+    function showNotFound(path) {
+        const view = getNotFoundView();
+        if (!view) return;
+
+        let words = path.split('/').filter(Boolean).pop() || '';
+        try {
+            words = decodeURIComponent(words);
+        } catch (error) {
+            // Keep a malformed escape as it is
+        }
+        words = words.replace(/[-_]+/g, ' ').trim();
+        view.dataset.path = path;
+        view.innerHTML = `
+            <h2>${escapeHTML(t('notFoundTitle'))}</h2>
+            <p>${escapeHTML(t('notFoundText', { path }))}</p>
+            <div class="not-found-actions">
+                ${words ? `<a class="not-found-link" href="${escapeHTML(getLibraryUrl('all', words))}" data-route>${escapeHTML(t('notFoundSearch', { query: words }))}</a>` : ''}
+                <a class="not-found-link" href="${escapeHTML(buildUrl('home'))}" data-route>${escapeHTML(t('notFoundHome'))}</a>
+            </div>
+        `;
+        view.hidden = false;
+        document.body.classList.add('not-found-open');
+        document.title = `${t('notFoundTitle')} - ${t('siteTitle')}`;
+    }
+
+    /**
+     * Hide the not-found view
+     */
+    function hideNotFound() {
+        const view = document.getElementById('not-found');
+        if (view) view.hidden = true;
+        document.body.classList.remove('not-found-open');
+    }
+
+    /**
+     * Set the page title of a library route
+     */
+    function setLibraryTitle(collection, query) {
+        const title = query
+            ? t('searchTitle', { query })
+            : collection !== 'all' ? window.GameLibrary.getCollectionName(collection) : t('library');
+        document.title = `${title} - ${t('siteTitle')}`;
+    }
+
+    /**
+     * Show the view of the current URL
+     */
+    function render() {
+        const route = resolveRoute(parseUrl());
+
+        if (route.redirect) {
+            Logger.info(`Redirecting ${window.location.pathname} to ${route.redirect}`);
+            window.history.replaceState(window.history.state, '', route.redirect);
+            render();
+            return;
+        }
+
+        Logger.debug(`Route: ${route.name}`);
+
+        applyViews(() => {
+            if (route.name !== 'notFound') hideNotFound();
+            if (route.name !== 'search' && route.name !== 'collection' && window.GameLibrary) {
+                window.GameLibrary.close();
+            }
+
+            switch (route.name) {
+                case 'home':
+                    if (typeof window.showHome === 'function') window.showHome();
+                    document.title = t('siteTitle');
+                    break;
+
+                case 'game':
+                    if (typeof window.getCurrentGame !== 'function' || window.getCurrentGame() !== route.game.id) {
+                        window.GameUrlLoader.loadGame(route.game.id);
+                    } else {
+                        document.title = `${route.game.name || route.game.id} - ${t('siteTitle')}`;
+                    }
+                    break;
+
+                case 'search':
+                case 'collection': {
+                    const collection = route.params.collection || 'all';
+                    const query = route.query.get('q') || '';
+                    if (window.GameLibrary) window.GameLibrary.show({ collection, query });
+                    setLibraryTitle(collection, query);
+                    break;
+                }
+
+                default:
+                    showNotFound(route.params.path);
+            }
+        });
+    }
+
+    /**
+     * Go to a URL of the site and show its view. options: { replace }
+     */
+    function navigate(href, options = {}) {
+        const url = new URL(href, getSiteRoot()).href;
+        if (url !== window.location.href) {
+            window.history[options.replace ? 'replaceState' : 'pushState'](null, '', url);
+        }
+        if (started) render();
+    }
+
+    /**
+     * Push the URL of a game loaded by other means than the URL (dropdown, library, host page)
+     */
+    function syncGameUrl(game) {
+        const route = parseUrl();
+        if (route.name === 'game' && window.CatalogStore.findGame(route.params.slug) === game) return;
+
+        const url = keepParams(getGameUrl(game));
+        window.history.pushState(null, '', url);
+        applyViews(() => {
+            hideNotFound();
+            if (window.GameLibrary) window.GameLibrary.close();
+        });
+        Logger.debug(`URL of ${game.id}: ${url}`);
+    }
+
+    /**
+     * Show the URL of the first route once the catalog is loaded
+     */
+    async function start() {
+        await window.I18n.ready;
+        try {
+            await window.CatalogStore.load();
+        } catch (error) {
+            // script.js shows the error in place of the player
+            return;
+        }
+
+        started = true;
+        render();
+    }
+
+    window.addEventListener('popstate', () => {
+        if (started) render();
+    });
+
+    window.addEventListener('gameLoaded', (event) => {
+        if (started && event.detail && event.detail.game) syncGameUrl(event.detail.game);
+    });
+
+    // The library was opened, closed or filtered by the visitor
+    window.addEventListener('libraryChanged', (event) => {
+        if (!started || applying) return;
+
+        const { open, collection, query, replace } = event.detail;
+        if (open) {
+            hideNotFound();
+            const url = keepParams(getLibraryUrl(collection, query.trim()));
+            if (url !== window.location.href) {
+                window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+            }
+            setLibraryTitle(collection, query.trim());
+            return;
+        }
+
+        // Closed: back to the game in the player, or the start screen
+        const gameId = typeof window.getCurrentGame === 'function' ? window.getCurrentGame() : null;
+        navigate(keepParams(gameId ? getGameUrl(gameId) : buildUrl('home')));
+    });
+
+    // Links of the router's own views
+    document.addEventListener('click', (event) => {
+        const link = event.target.closest('a[data-route]');
+        if (!link || event.ctrlKey || event.metaKey || event.shiftKey || event.button !== 0) return;
+        event.preventDefault();
+        navigate(link.href);
+    });
+
+    window.addEventListener('languageChanged', (event) => {
+        // On a per-locale page, move to the same page of the new locale
+        const locale = window.I18n.getUrlLocale();
+        if (locale && locale !== event.detail.locale) {
+            const url = new URL(window.location.pathname.slice(getSiteRoot().pathname.length), window.I18n.getLocaleRoot(event.detail.locale));
+            url.search = window.location.search;
+            url.hash = window.location.hash;
+            window.history.replaceState(window.history.state, '', url.href);
+        }
+
+        const view = document.getElementById('not-found');
+        if (view && !view.hidden) showNotFound(view.dataset.path);
+    });
+
+    // Start when the DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        start();
+    }
+
+    // Export API to window for external access
+    window.Router = {
+        navigate,
+        parseUrl,
+        buildUrl,
+        getGameUrl,
+        getLibraryUrl,
+        getGameRef,
+        syncGameUrl,
+        getRoutes: () => CONFIG.routes.map(route => route.name)
+    };
+})();
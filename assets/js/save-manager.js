@@ -0,0 +1,427 @@
+/**
+ * Save Manager
+ *
+ * Backs up and restores game saves. Ruffle keeps each SharedObject in localStorage
+ * under a key built from the SWF's host and path, for example:
+ *
+ *   cdn.xperia.pt/nitrone-games/Bad_Ice_Cream.swf/savedata
+ *
+ * Saves are exported relative to their game id, so they can be imported on another
+ * machine, and into a game whose path has moved between CDN folders since.
+ *
+ * A game played from one of its mirrors (see game-sources.js) saves under the
+ * mirror's URL. Saves follow the game to whichever source it is loaded from.
+ */
+
+(function() {
+    console.log('[Save Manager] Initializing...');
+
+    // Configuration
+    const CONFIG = {
+        // Identifies files written by exportSaves()
+        exportFormat: 'ruffle-saves',
+        exportVersion: 1,
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Save Manager]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Save Manager]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Save Manager]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Save Manager]', msg)
+    };
+
+    /**
+     * Translate a key with the page's translation function when it is available
+     */
+    function t(key) {
+        return typeof window._ === 'function' ? window._(key) : key;
+    }
+
+    /**
+     * Get all games from the catalog as an array
+     */
+    function getAllGames() {
+        return window.CatalogStore.getGames();
+    }
+
+    /**
+     * Find a game in the catalog by id
+     */
+    function findGame(gameId) {
+        return window.CatalogStore.getGame(gameId);
+    }
+
+    /**
+     * Build the localStorage key prefix Ruffle uses for a SWF path.
+     * The query string and fragment are not part of the key.
+     */
+    function getSavePrefix(swfPath) {
+        try {
+            const url = new URL(swfPath, window.location.href);
+            const host = url.protocol === 'file:' ? 'localhost' : url.hostname;
+            return `${host}${url.pathname}/`;
+        } catch (error) {
+            Logger.warn(`Invalid SWF path: ${swfPath}`);
+            return null;
+        }
+    }
+
+    /**
+     * List every localStorage key that starts with a prefix
+     */
+    function getKeysWithPrefix(prefix) {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(prefix)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Get the saves of a game as { name: value }, where name is the SharedObject name.
+     * Saves under the game's path win over the same saves under a mirror.
+     */
+    function getSaves(gameOrId) {
+        const game = typeof gameOrId === 'string' ? findGame(gameOrId) : gameOrId;
+        if (!game || !game.path) return {};
+
+        const saves = {};
+        window.CatalogStore.getSourcePaths(game).forEach(path => {
+            const prefix = getSavePrefix(path);
+            if (!prefix) return;
+
+            getKeysWithPrefix(prefix).forEach(key => {
+                const name = key.slice(prefix.length);
+                if (!(name in saves)) saves[name] = localStorage.getItem(key);
+            });
+        });
+        return saves;
+    }
+
+    /**
+     * Get the size in bytes of a set of saves
+     */
+    function getSavesSize(saves) {
+        return Object.entries(saves).reduce((sum, [name, value]) => sum + name.length + (value || '').length, 0);
+    }
+
+    /**
+     * List the games that have saves in this browser
+     */
+    function listGamesWithSaves() {
+        return getAllGames()
+            .map(game => {
+                const saves = getSaves(game);
+                return {
+                    id: game.id,
+                    name: game.name,
+                    count: Object.keys(saves).length,
+                    size: getSavesSize(saves)
+                };
+            })
+            .filter(entry => entry.count > 0);
+    }
+
+    /**
+     * Move saves from one SWF path to another.
+     * Existing saves at the destination are kept unless overwrite is set.
+     */
+    function moveSaves(fromPath, toPath, overwrite = false) {
+        const fromPrefix = getSavePrefix(fromPath);
+        const toPrefix = getSavePrefix(toPath);
+        if (!fromPrefix || !toPrefix || fromPrefix === toPrefix) return 0;
+
+        let moved = 0;
+        getKeysWithPrefix(fromPrefix).forEach(key => {
+            const newKey = toPrefix + key.slice(fromPrefix.length);
+            if (!overwrite && localStorage.getItem(newKey) !== null) {
+                Logger.warn(`Not overwriting existing save ${newKey}`);
+                return;
+            }
+            localStorage.setItem(newKey, localStorage.getItem(key));
+            localStorage.removeItem(key);
+            moved++;
+        });
+
+        if (moved > 0) {
+            Logger.info(`Moved ${moved} save(s) from ${fromPrefix} to ${toPrefix}`);
+        }
+        return moved;
+    }
+
+    /**
+     * Find saves that were probably written by an older path of a game:
+     * same SWF file name, different folder or host.
+     * Returns a list of { path, count } candidates.
+     */
+    function findMovedSaves(gameOrId) {
+        const game = typeof gameOrId === 'string' ? findGame(gameOrId) : gameOrId;
+        if (!game || !game.path) return [];
+
+        const currentPrefix = getSavePrefix(game.path);
+        const fileName = currentPrefix.split('/').filter(Boolean).pop();
+        const knownPrefixes = new Set(getAllGames().flatMap(g => window.CatalogStore.getSourcePaths(g).map(getSavePrefix)));
+        const candidates = {};
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            const marker = `/${fileName}/`;
+            const index = key ? key.indexOf(marker) : -1;
+            if (index === -1) continue;
+
+            const prefix = key.slice(0, index + marker.length);
+            // Saves of a game that is still in the catalog are not orphaned
+            if (prefix === currentPrefix || knownPrefixes.has(prefix)) continue;
+
+            candidates[prefix] = (candidates[prefix] || 0) + 1;
+        }
+
+        return Object.entries(candidates).map(([prefix, count]) => ({
+            path: `https://${prefix.slice(0, -1)}`,
+            count
+        }));
+    }
+
+    /**
+     * Move saves left behind by the paths listed in a game's previousPaths, and by its
+     * other sources, to the URL the game is loaded from (its path by default).
+     * Called by script.js before a game is loaded so its saves are found.
+     */
+    function migrateSaves(gameOrId, toPath) {
+        const game = typeof gameOrId === 'string' ? findGame(gameOrId) : gameOrId;
+        if (!game || !game.path) return 0;
+
+        const fromPaths = [...(game.previousPaths || []), ...window.CatalogStore.getSourcePaths(game)];
+        return fromPaths.reduce((moved, fromPath) => moved + moveSaves(fromPath, toPath || game.path), 0);
+    }
+
+    /**
+     * Build the export data for a list of games (all games with saves by default)
+     */
+    function buildExport(gameIds) {
+        const ids = gameIds || listGamesWithSaves().map(entry => entry.id);
+
+        return {
+            format: CONFIG.exportFormat,
+            version: CONFIG.exportVersion,
+            exportedAt: new Date().toISOString(),
+            games: ids
+                .map(findGame)
+                .filter(Boolean)
+                .map(game => ({
+                    id: game.id,
+                    name: game.name,
+                    path: game.path,
+                    saves: getSaves(game)
+                }))
+                .filter(entry => Object.keys(entry.saves).length > 0)
+        };
+    }
+
+    /**
+     * Download the saves of a list of games (all games with saves by default) as a JSON file
+     */
+    function exportSaves(gameIds) {
+        const data = buildExport(gameIds);
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = gameIds && gameIds.length === 1
+            ? `ruffle-saves-${gameIds[0]}-${data.exportedAt.slice(0, 10)}.json`
+            : `ruffle-saves-${data.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        Logger.info(`Exported saves for ${data.games.length} game(s)`);
+        return data;
+    }
+
+    /**
+     * Restore saves from export data.
+     * Saves are written under the game's current path, so games that moved keep their progress.
+     */
+    function importSaveData(data, overwrite = true) {
+        if (!data || data.format !== CONFIG.exportFormat || !Array.isArray(data.games)) {
+            throw new Error('Not a save backup file');
+        }
+        if (data.version > CONFIG.exportVersion) {
+            throw new Error(`Unsupported save backup version: ${data.version}`);
+        }
+
+        const result = { imported: 0, skipped: [], remapped: [] };
+
+        data.games.forEach(entry => {
+            const game = findGame(entry.id);
+            if (!game) {
+                Logger.warn(`Skipping saves for unknown game: ${entry.id}`);
+                result.skipped.push(entry.id);
+                return;
+            }
+
+            const prefix = getSavePrefix(game.path);
+            if (entry.path && getSavePrefix(entry.path) !== prefix) {
+                Logger.info(`Remapping saves for ${game.id}: ${entry.path} -> ${game.path}`);
+                result.remapped.push(game.id);
+            }
+
+            Object.entries(entry.saves || {}).forEach(([name, value]) => {
+                const key = prefix + name;
+                if (!overwrite && localStorage.getItem(key) !== null) return;
+                localStorage.setItem(key, value);
+                result.imported++;
+            });
+        });
+
+        Logger.info(`Imported ${result.imported} save(s)`);
+        return result;
+    }
+
+    /**
+     * Restore saves from a backup file chosen by the user
+     */
+    async function importSaves(file, overwrite = true) {
+        const text = await file.text();
+        return importSaveData(JSON.parse(text), overwrite);
+    }
+
+    /**
+     * Render the saves panel contents
+     */
+    function renderPanel() {
+        const panel = document.getElementById('saves-panel');
+        if (!panel || panel.hidden) return;
+
+        const currentGameId = typeof window.getCurrentGame === 'function' ? window.getCurrentGame() : null;
+        const currentGame = findGame(currentGameId);
+        const games = listGamesWithSaves();
+
+        let movedHTML = '';
+        if (currentGame) {
+            movedHTML = findMovedSaves(currentGame).map(candidate => `
+                <li class="saves-entry saves-moved">
+                    <span class="saves-name" title="${candidate.path}">${t('savesFoundAt')} ${candidate.path}</span>
+                    <button class="saves-action" data-action="remap" data-game-id="${currentGame.id}" data-path="${candidate.path}">${t('savesRemap')}</button>
+                </li>
+            `).join('');
+        }
+
+        const listHTML = games.length
+            ? games.map(game => `
+                <li class="saves-entry">
+                    <span class="saves-name">${game.name}</span>
+                    <span class="saves-size">${game.count}</span>
+                    <button class="saves-action" data-action="export" data-game-id="${game.id}" title="${t('savesExport')}">⬇</button>
+                </li>
+            `).join('')
+            : `<li class="saves-empty">${t('noSaves')}</li>`;
+
+        panel.innerHTML = `
+            <h3>${t('savesTitle')}</h3>
+            <ul class="saves-list">${movedHTML}${listHTML}</ul>
+            <div class="saves-buttons">
+                <button class="saves-action" data-action="export-all" ${games.length ? '' : 'disabled'}>${t('savesExportAll')}</button>
+                <button class="saves-action" data-action="import">${t('savesImport')}</button>
+                <input type="file" class="saves-file-input" accept=".json,application/json" hidden>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the saves button and panel
+     */
+    function createPanel() {
+        const infoButtonContainer = document.querySelector('.info-button');
+        if (!infoButtonContainer || document.getElementById('saves-btn')) return;
+
+        const button = document.createElement('button');
+        button.id = 'saves-btn';
+        button.textContent = '💾';
+        button.title = t('savesTitle');
+        infoButtonContainer.prepend(button);
+
+        const panel = document.createElement('div');
+        panel.id = 'saves-panel';
+        panel.className = 'saves-panel';
+        panel.hidden = true;
+        document.body.appendChild(panel);
+
+        button.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            renderPanel();
+        });
+
+        panel.addEventListener('click', (event) => {
+            const actionButton = event.target.closest('.saves-action');
+            if (!actionButton) return;
+
+            switch (actionButton.dataset.action) {
+                case 'export':
+                    exportSaves([actionButton.dataset.gameId]);
+                    break;
+
+                case 'export-all':
+                    exportSaves();
+                    break;
+
+                case 'import':
+                    panel.querySelector('.saves-file-input').click();
+                    break;
+
+                case 'remap': {
+                    const game = findGame(actionButton.dataset.gameId);
+                    const moved = moveSaves(actionButton.dataset.path, game.path);
+                    alert(`${t('savesRemapped')} ${moved}`);
+                    renderPanel();
+                    break;
+                }
+            }
+        });
+
+        panel.addEventListener('change', async (event) => {
+            if (!event.target.classList.contains('saves-file-input')) return;
+
+            const file = event.target.files && event.target.files[0];
+            if (!file) return;
+
+            try {
+                const result = await importSaves(file);
+                alert(`${t('savesImported')} ${result.imported}`);
+            } catch (error) {
+                Logger.error(`Error importing saves: ${error.message}`);
+                alert(`${t('savesImportFailed')} ${error.message}`);
+            }
+            renderPanel();
+        });
+    }
+
+    // Start when the DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', createPanel);
+    } else {
+        createPanel();
+    }
+
+    // Export API to window for external access
+    window.SaveManager = {
+        getSavePrefix,
+        getSaves,
+        listGamesWithSaves,
+        moveSaves,
+        findMovedSaves,
+        migrateSaves,
+        exportSaves,
+        importSaves,
+        importSaveData
+    };
+})();
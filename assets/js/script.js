@@ -1,49 +1,22 @@
-// Will store the list of Nitrome games loaded from JSON
-let nitromeGames = [];
-let translations = {};
-let currentLanguage = 'en-us';
+// Games come from the shared catalog store (catalog-store.js)
+// and translations from i18n.js
 
-// Load translations
+// Wait for the translations and the negotiated language
 async function loadTranslations() {
-    try {
-        // First, check if there's a preferred language in localStorage
-        const savedLanguage = localStorage.getItem('preferredLanguage');
-        if (savedLanguage && (savedLanguage === 'en-us' || savedLanguage === 'pt-pt')) {
-            currentLanguage = savedLanguage;
-            console.log(`Using saved language preference: ${currentLanguage}`);
-        } else {
-            // Default to Portuguese instead of using browser language
-            currentLanguage = 'pt-pt';
-            console.log(`Using default Portuguese language`);
-        }
-        
-        // Load translations file
-        const response = await fetch('translations.json');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        translations = await response.json();
-        console.log('Translations loaded successfully');
-    } catch (error) {
-        console.error('Error loading translations:', error);
-        translations = {
-            'en-us': {}, // Fallback empty translations
-            'pt-pt': {}  // Fallback empty translations
-        };
-    }
+    const locale = await window.I18n.ready;
+    console.log(`Using language: ${locale}`);
 }
 
-// Get translation for a key
-function _(key) {
-    if (translations[currentLanguage] && translations[currentLanguage][key]) {
-        return translations[currentLanguage][key];
-    }
-    // Fallback to English if translation not found
-    if (translations['en-us'] && translations['en-us'][key]) {
-        return translations['en-us'][key];
-    }
-    // Return the key if no translation found
-    return key;
+// Get translation for a key, with optional {name} variables (see i18n.js)
+function _(key, vars) {
+    return window.I18n.t(key, vars);
+}
+
+// Escape text for use in HTML (file names of custom SWFs come from the user)
+function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text === null || text === undefined ? '' : String(text);
+    return div.innerHTML;
 }
 
 // Update all translatable elements on the page
@@ -59,11 +32,18 @@ function updatePageLanguage() {
     
     document.querySelector('.author-info span:first-child').textContent = _('poweredBy');
     
+    // Update the custom SWF file selector
+    document.querySelector('.file-selector label').textContent = _('selectFile');
+    updateFileName(currentCustomSwf ? currentCustomSwf.name : null);
+    
     // Update any dynamic content
     if (currentGame) {
         // If a game is loaded, update its info panel
-        const game = nitromeGames.find(g => g.id === currentGame);
-        updateInfoPanel(currentGame, game?.path, game?.name);
+        const game = window.CatalogStore.getGame(currentGame);
+        updateInfoPanel(currentGame, currentSource ? currentSource.url : game?.path, game?.name, currentSwfInfo);
+    } else if (currentCustomSwf) {
+        // If a custom SWF is loaded, update its info panel
+        updateCustomInfoPanel(currentCustomSwf, currentSwfInfo);
     } else {
         // Otherwise update the default info panel
         updateInfoPanel(null, null, null);
@@ -86,28 +66,26 @@ function updatePageLanguage() {
         instructionText.textContent = _('selectGameToPlay');
     }
     
-    // Store the language preference in localStorage for future visits
-    localStorage.setItem('preferredLanguage', currentLanguage);
+    // Update the game library
+    if (window.GameLibrary) {
+        window.GameLibrary.render();
+    }
     
-    // Update the active flag indicator
-    document.querySelector('.flag-us').classList.toggle('active', currentLanguage === 'en-us');
-    document.querySelector('.flag-pt').classList.toggle('active', currentLanguage === 'pt-pt');
 }
 
 // Function to load games from JSON file
 async function loadGamesFromJSON() {
     try {
-        const response = await fetch('games.json');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const data = await response.json();
-        nitromeGames = data.nitromeGames || [];
-        console.log(`Loaded ${nitromeGames.length} games from JSON`);
+        // The store validates the catalog and reports broken entries
+        const { games, catalog } = await window.CatalogStore.load();
+        console.log(`Loaded ${games.length} games from JSON (${catalog.invalid.length} invalid)`);
         
         // After loading the games, populate the dropdown
         populateGameDropdown();
         
+        // The router may already have loaded the game of the URL
+        if (currentGame || currentCustomSwf) return;
+        
         // Check if on mobile
         const isMobile = window.innerWidth <= 768;
         
@@ -119,48 +97,7 @@ async function loadGamesFromJSON() {
         }
         
         // Load the Ruffle logo animation by default
-        try {
-            const ruffle = window.RufflePlayer.newest();
-            const player = ruffle.createPlayer();
-            player.id = 'ruffle-instance';
-            rufflePlayer.innerHTML = ''; // Clear any existing content
-            rufflePlayer.appendChild(player);
-            
-            // Load the logo animation SWF file
-            player.load({ 
-                url: 'ruffle-assets/logo-anim.swf', 
-                backgroundColor: "#000000"
-            });
-            
-            // Save reference to the player
-            currentPlayer = player;
-            
-            // Add a message below the player
-            const messageElement = document.createElement('div');
-            messageElement.className = 'default-message';
-            messageElement.textContent = _('selectGameToPlay');
-            rufflePlayer.appendChild(messageElement);
-        } catch (error) {
-            console.error("Failed to initialize default Ruffle player:", error);
-            // Fallback to the static image if loading the SWF fails
-            if (isMobile) {
-                // Mobile version with logo SVG
-                rufflePlayer.innerHTML = `
-                    <div class="default-overlay">
-                        <img src="images/logo.svg" alt="${_('nitromeTitleArchive')}" class="logo-mobile">
-                        <p>${_('selectGameToPlay')}</p>
-                    </div>
-                `;
-            } else {
-                // Desktop version with default.png
-                rufflePlayer.innerHTML = `
-                    <div class="default-overlay">
-                        <img src="images/default.png" alt="${_('nitromeTitleArchive')}">
-                        <p>${_('selectGameToPlay')}</p>
-                    </div>
-                `;
-            }
-        }
+        showDefaultPlayer('selectGameToPlay');
         
         // Update info panel with ready status
         updateInfoPanel(null, null, null);
@@ -170,50 +107,183 @@ async function loadGamesFromJSON() {
     }
 }
 
+// Show the Ruffle logo animation in the player, with a message below it
+function showDefaultPlayer(messageKey) {
+    try {
+        const ruffle = window.RufflePlayer.newest();
+        const player = ruffle.createPlayer();
+        player.id = 'ruffle-instance';
+        rufflePlayer.innerHTML = ''; // Clear any existing content
+        rufflePlayer.appendChild(player);
+        
+        // Load the logo animation SWF file
+        player.load({ 
+            url: 'ruffle-assets/logo-anim.swf', 
+            backgroundColor: "#000000"
+        });
+        
+        // Save reference to the player
+        currentPlayer = player;
+        
+        // Add a message below the player
+        const messageElement = document.createElement('div');
+        messageElement.className = 'default-message';
+        messageElement.textContent = _(messageKey);
+        rufflePlayer.appendChild(messageElement);
+    } catch (error) {
+        console.error("Failed to initialize default Ruffle player:", error);
+        // Fallback to the static image if loading the SWF fails
+        if (window.innerWidth <= 768) {
+            // Mobile version with logo SVG
+            rufflePlayer.innerHTML = `
+                <div class="default-overlay">
+                    <img src="images/logo.svg" alt="${_('nitromeTitleArchive')}" class="logo-mobile">
+                    <p>${_(messageKey)}</p>
+                </div>
+            `;
+        } else {
+            // Desktop version with default.png
+            rufflePlayer.innerHTML = `
+                <div class="default-overlay">
+                    <img src="images/default.png" alt="${_('nitromeTitleArchive')}">
+                    <p>${_(messageKey)}</p>
+                </div>
+            `;
+        }
+    }
+}
+
+// Go back to the start screen (the router's "/" route). A local SWF file stays loaded.
+function showHome() {
+    if (!currentGame) return;
+    
+    currentGame = null;
+    currentSwfInfo = null;
+    currentSource = null;
+    gameSelector.value = '';
+    
+    if (window.Redirector) {
+        window.Redirector.setGameRules(null);
+    }
+    
+    showDefaultPlayer('selectGameToPlay');
+    updateInfoPanel(null, null, null);
+}
+
 // DOM Elements
 let currentPlayer = null;
 let currentGame = null;
+let currentSwfInfo = null;
+let currentCustomSwf = null;
+let currentSource = null;
+let sourceController = null;
 let rufflePlayer = null;
 let infoButton = null;
 let gameSelector = null;
 
+// Show an error in place of the player, and tell the other modules (see host-api.js)
+function showGameError(gameId, message) {
+    rufflePlayer.innerHTML = `<div class="error-message">${message}</div>`;
+    window.dispatchEvent(new CustomEvent('gameError', { detail: { gameId, message } }));
+}
+
 // Load a game into the Ruffle player
 async function loadGame(gameId) {
     // Track if this is the first game loaded
     const isFirstGameLoad = !currentPlayer;
     
     // Find the game in our list
-    const game = nitromeGames.find(g => g.id === gameId);
+    const game = window.CatalogStore.getGame(gameId);
     if (!game) {
         console.error("Game not found:", gameId);
-        rufflePlayer.innerHTML = `<div class="error-message">${_('gameNotFound')} ${gameId}</div>`;
+        showGameError(gameId, `${_('gameNotFound')} ${gameId}`);
         return;
     }
     
+    // Ids are case-insensitive, use the one from the catalog from here on
+    gameId = game.id;
+    
     currentGame = gameId;
+    currentSwfInfo = null;
+    currentCustomSwf = null;
+    updateFileName(null);
+    
+    // Keep the dropdown in sync when the game was loaded from the URL or the library
+    if (gameSelector) {
+        gameSelector.value = gameId;
+    }
     
     // Use the game name from our JSON
     const gameName = game.name;
     
-    // Use the path from our JSON
-    const gamePath = game.path;
+    // Clear existing player and show loading message
+    rufflePlayer.innerHTML = `<div class="loading-message">${_('loading')} ${gameName}...</div>`;
+    
+    // Stop checking the sources of the previous game
+    if (sourceController) {
+        sourceController.abort();
+    }
+    sourceController = new AbortController();
+    currentSource = null;
     
-    // Check if the game file actually exists
+    // Find a source of the SWF that answers: the path from our JSON, then its mirrors,
+    // retrying errors that may go away (see game-sources.js)
+    let source;
     try {
-        const checkResponse = await fetch(gamePath, { method: 'HEAD' });
-        if (!checkResponse.ok) {
-            console.error(`Game file not found: ${gamePath}`);
-            rufflePlayer.innerHTML = `<div class="error-message">${_('fileNotFound')} ${gameName}</div>`;
-            return;
-        }
+        source = await window.GameSources.resolve(game, {
+            signal: sourceController.signal,
+            onRetry: (failed, attempt) => {
+                rufflePlayer.innerHTML = `<div class="loading-message">${_('sourceRetrying', { source: window.GameSources.getSourceLabel(failed), attempt, retries: window.GameSources.getConfig().maxRetries })}</div>`;
+            },
+            onFailover: (failed, next) => {
+                rufflePlayer.innerHTML = `<div class="loading-message">${_('sourceFailover', { source: window.GameSources.getSourceLabel(failed), next: window.GameSources.getSourceLabel(next) })}</div>`;
+            }
+        });
     } catch (error) {
-        console.error(`Error checking game file: ${error}`);
-        rufflePlayer.innerHTML = `<div class="error-message">${_('errorAccessing')} ${gameName}</div>`;
+        console.error(`Error checking game file: ${error.message}`);
+        if (currentGame !== gameId) return;
+        showGameError(gameId, `${_(error.notFound ? 'fileNotFound' : 'errorAccessing')} ${gameName}`);
         return;
     }
     
-    // Clear existing player and show loading message
-    rufflePlayer.innerHTML = `<div class="loading-message">${_('loading')} ${gameName}...</div>`;
+    // Another game was picked while checking
+    if (!source || currentGame !== gameId) return;
+    
+    currentSource = source;
+    const gamePath = source.url;
+    if (source.attempts > 1) {
+        rufflePlayer.innerHTML = `<div class="loading-message">${_('loading')} ${gameName}...</div>`;
+    }
+    
+    // Player settings from a shared link (?quality=low&t=3...) apply to the game it opened
+    const linkSettings = window.PlayerOptions.takeLinkSettings(gameId);
+    if (linkSettings && linkSettings.t) {
+        rufflePlayer.innerHTML = `<div class="loading-message">${_('startingIn', { game: gameName, seconds: linkSettings.t })}</div>`;
+        await new Promise(resolve => setTimeout(resolve, linkSettings.t * 1000));
+        
+        // Another game was picked while waiting
+        if (currentGame !== gameId) return;
+    }
+    
+    // Move saves left behind by an older path or another source of this game so Ruffle finds them
+    if (window.SaveManager) {
+        window.SaveManager.migrateSaves(game, gamePath);
+    }
+    
+    // Apply the redirect rules of this game, once the rules file has loaded
+    if (window.Redirector) {
+        await window.Redirector.ready;
+        window.Redirector.setGameRules(game);
+    }
+    
+    // Use this game's controller mappings and touch layout
+    if (window.GamepadInput) {
+        window.GamepadInput.reload(gameId);
+    }
+    if (window.TouchControls) {
+        window.TouchControls.setGame(game);
+        window.TouchControls.setControls(linkSettings ? linkSettings.controls : null);
+    }
     
     // Create new Ruffle player
     try {
@@ -230,28 +300,146 @@ async function loadGame(gameId) {
         // Add event listeners for errors
         player.addEventListener('error', (event) => {
             console.error("Ruffle error:", event.error);
-            rufflePlayer.innerHTML = `<div class="error-message">${_('failedLoad')} ${event.error}</div>`;
+            showGameError(gameId, `${_('failedLoad')} ${event.error}`);
         });
         
-        // Load the game SWF file from the path in our JSON
-        player.load({ 
-            url: gamePath, 
-            backgroundColor: "#FFFFFF"
+        // Load the game SWF file from the source found above,
+        // with the game's Ruffle options and flashvars merged over the site config
+        // and the link settings over both
+        const loaded = player.load({ 
+            ...window.PlayerOptions.build(game, window.PlayerOptions.toRuffleOptions(linkSettings)),
+            url: gamePath
         });
         
+        // Ruffle has no volume load option, so the link's volume is set once the game has loaded.
+        // A failed load is reported by the error listener above.
+        if (linkSettings && (linkSettings.muted || linkSettings.volume !== undefined)) {
+            loaded.then(() => {
+                player.volume = linkSettings.muted ? 0 : linkSettings.volume / 100;
+            }).catch(() => {});
+        }
+        
         // Update the info panel
         updateInfoPanel(gameId, gamePath, gameName);
         
+        // Read the SWF header in the background and show it in the info panel
+        loadSwfMetadata(gameId, gamePath, gameName);
+        
         // Save reference to the player
         currentPlayer = player;
+        
+        // Tell the other modules, whichever way the game was picked (dropdown, library or URL)
+        window.dispatchEvent(new CustomEvent('gameLoaded', { detail: { game } }));
     } catch (error) {
         console.error("Failed to initialize Ruffle player:", error);
-        rufflePlayer.innerHTML = `<div class="error-message">${_('failedInit')} ${error.message}</div>`;
+        showGameError(gameId, `${_('failedInit')} ${error.message}`);
     }
 }
 
+// Read the SWF header of a game and add it to the info panel
+async function loadSwfMetadata(gameId, gamePath, gameName) {
+    if (!window.SwfHeader) return;
+    
+    try {
+        const swfInfo = await window.SwfHeader.fetchAndParse(gamePath);
+        
+        // Ignore the result if another game was opened in the meantime
+        if (currentGame !== gameId) return;
+        
+        currentSwfInfo = swfInfo;
+        updateInfoPanel(gameId, gamePath, gameName, swfInfo);
+    } catch (error) {
+        console.error(`Error reading SWF header for ${gameName}:`, error);
+    }
+}
+
+// Build the info rows for the metadata read from the SWF header
+function getSwfInfoRows(swfInfo) {
+    if (!swfInfo) return '';
+    
+    const attributes = swfInfo.fileAttributes || {};
+    const flags = [
+        attributes.useNetwork && 'UseNetwork',
+        attributes.useDirectBlit && 'UseDirectBlit',
+        attributes.useGPU && 'UseGPU',
+        attributes.hasMetadata && 'HasMetadata',
+        attributes.swfRelativeUrls && 'SwfRelativeUrls',
+        attributes.noCrossDomainCache && 'NoCrossDomainCache'
+    ].filter(Boolean);
+    
+    return `
+        <div class="info-row">
+            <span class="info-label">${_('uncompressedLength')}</span>
+            <span class="info-value">${swfInfo.uncompressedLength}</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('compression')}</span>
+            <span class="info-value">${swfInfo.signature} (${swfInfo.compression})</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('swfVersion')}</span>
+            <span class="info-value">${swfInfo.version}</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('fpVersion')}</span>
+            <span class="info-value">${swfInfo.flashPlayerVersion}</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('actionScript3')}</span>
+            <span class="info-value">${swfInfo.actionScript3}</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('totalFrames')}</span>
+            <span class="info-value">${swfInfo.frameCount}</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('frameRate')}</span>
+            <span class="info-value">${Math.round(swfInfo.frameRate * 100) / 100}</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('swfWidth')}</span>
+            <span class="info-value">${swfInfo.width}</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('swfHeight')}</span>
+            <span class="info-value">${swfInfo.height}</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('swfBackgroundColor')}</span>
+            <span class="info-value color-box" title="${swfInfo.backgroundColor || ''}" style="background-color: ${swfInfo.backgroundColor || 'transparent'}"></span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('fileAttributes')}</span>
+            <span class="info-value">${flags.length ? flags.join(', ') : '-'}</span>
+        </div>
+    `;
+}
+
+// Build the info rows for the time spent in a game (see play-stats.js)
+function getPlayStatsRows(gameId) {
+    if (!window.PlayStats) return '';
+    
+    const stats = window.PlayStats.getGameStats(gameId);
+    if (!stats) return '';
+    
+    return `
+        <div class="info-row">
+            <span class="info-label">${_('timePlayed')}</span>
+            <span class="info-value">${window.PlayStats.formatDuration(stats.time)}</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('sessions')}</span>
+            <span class="info-value">${stats.sessions}</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('lastPlayed')}</span>
+            <span class="info-value">${window.PlayStats.formatDate(stats.lastPlayed)}</span>
+        </div>
+    `;
+}
+
 // Update the information panel with game info
-function updateInfoPanel(gameId, gamePath, gameName) {
+function updateInfoPanel(gameId, gamePath, gameName, swfInfo) {
     const infoPanel = document.querySelector('.info-panel');
     
     if (!gameId) {
@@ -294,7 +482,7 @@ function updateInfoPanel(gameId, gamePath, gameName) {
         </div>
         <div class="info-row">
             <span class="info-label">${_('source')}</span>
-            <span class="info-value">cdn.xperia.pt</span>
+            <span class="info-value" title="${currentSource ? currentSource.url : ''}">${currentSource ? window.GameSources.getSourceLabel(currentSource) : '-'}</span>
         </div>
         <div class="info-row">
             <span class="info-label">${_('publisher')}</span>
@@ -304,11 +492,162 @@ function updateInfoPanel(gameId, gamePath, gameName) {
             <span class="info-label">${_('player')}</span>
             <span class="info-value">Ruffle</span>
         </div>
+        ${getPlayStatsRows(gameId)}
+        ${getSwfInfoRows(swfInfo)}
     `;
     
     infoPanel.innerHTML = infoHTML;
 }
 
+// Load a SWF chosen by the user (file picker or drag-and-drop) straight from memory
+async function loadCustomSwf(file) {
+    if (!file) return;
+    
+    let data;
+    try {
+        data = await file.arrayBuffer();
+    } catch (error) {
+        console.error(`Error reading file ${file.name}:`, error);
+        showGameError(null, `${_('failedLoad')} ${error.message}`);
+        return;
+    }
+    
+    // Check the signature bytes before handing the file to Ruffle
+    const signature = window.SwfHeader.getSignature(new Uint8Array(data, 0, Math.min(data.byteLength, 8)));
+    if (!signature) {
+        console.warn(`Rejected ${file.name}: not a SWF file`);
+        alert(_('invalidSWF'));
+        return;
+    }
+    
+    currentGame = null;
+    currentSwfInfo = null;
+    currentSource = null;
+    currentCustomSwf = { name: file.name, size: file.size };
+    updateFileName(file.name);
+    gameSelector.value = '';
+    
+    // Rules from the previous game's catalog entry don't apply to a local file
+    if (window.Redirector) {
+        window.Redirector.setGameRules(null);
+    }
+    
+    // Local files use the default controller mappings and touch layout
+    if (window.GamepadInput) {
+        window.GamepadInput.reload(null);
+    }
+    if (window.TouchControls) {
+        window.TouchControls.setGame(null);
+    }
+    
+    // Read the header first, Ruffle may take ownership of the buffer
+    try {
+        currentSwfInfo = await window.SwfHeader.parse(data);
+    } catch (error) {
+        console.error(`Error reading SWF header for ${file.name}:`, error);
+    }
+    
+    // Create new Ruffle player
+    try {
+        const ruffle = window.RufflePlayer.newest();
+        const player = ruffle.createPlayer();
+        player.id = 'ruffle-instance';
+        rufflePlayer.innerHTML = '';
+        rufflePlayer.appendChild(player);
+        rufflePlayer.classList.remove('mobile-view');
+        
+        player.addEventListener('error', (event) => {
+            console.error("Ruffle error:", event.error);
+            showGameError(null, `${_('failedLoad')} ${event.error}`);
+        });
+        
+        // Load the SWF from memory
+        player.load({ 
+            ...window.PlayerOptions.build(null, { backgroundColor: "#FFFFFF" }),
+            data: data, 
+            swfFileName: file.name
+        });
+        
+        updateCustomInfoPanel(currentCustomSwf, currentSwfInfo);
+        
+        // Save reference to the player
+        currentPlayer = player;
+        console.log(`Loaded custom SWF: ${file.name} (${file.size} bytes)`);
+    } catch (error) {
+        console.error("Failed to initialize Ruffle player:", error);
+        showGameError(null, `${_('failedInit')} ${error.message}`);
+    }
+}
+
+// Update the information panel for a custom SWF
+function updateCustomInfoPanel(customSwf, swfInfo) {
+    const infoPanel = document.querySelector('.info-panel');
+    
+    infoPanel.innerHTML = `
+        <div class="info-row">
+            <span class="info-label">${_('game')}</span>
+            <span class="info-value">${escapeHTML(customSwf.name)}</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('source')}</span>
+            <span class="info-value">${_('customSWF')}</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('fileSize')}</span>
+            <span class="info-value">${customSwf.size}</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">${_('player')}</span>
+            <span class="info-value">Ruffle</span>
+        </div>
+        ${getSwfInfoRows(swfInfo)}
+    `;
+}
+
+// Show the name of the selected custom SWF next to the file selector
+function updateFileName(fileName) {
+    const fileNameElement = document.querySelector('.file-selector .file-name');
+    if (fileNameElement) {
+        fileNameElement.textContent = fileName || _('noFileSelected');
+    }
+}
+
+// Set up the file picker and drag-and-drop for custom SWF files
+function setupCustomSwfInput() {
+    const fileInput = document.getElementById('swf-file-input');
+    if (fileInput) {
+        fileInput.addEventListener('change', function() {
+            if (this.files && this.files[0]) {
+                loadCustomSwf(this.files[0]);
+            }
+            // Allow the same file to be picked again
+            this.value = '';
+        });
+    }
+    
+    rufflePlayer.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        rufflePlayer.classList.add('drag-over');
+    });
+    
+    rufflePlayer.addEventListener('dragleave', (event) => {
+        if (!rufflePlayer.contains(event.relatedTarget)) {
+            rufflePlayer.classList.remove('drag-over');
+        }
+    });
+    
+    rufflePlayer.addEventListener('drop', (event) => {
+        event.preventDefault();
+        rufflePlayer.classList.remove('drag-over');
+        
+        const file = event.dataTransfer.files && event.dataTransfer.files[0];
+        if (file) {
+            loadCustomSwf(file);
+        }
+    });
+}
+
 // Toggle the info panel
 function toggleInfoPanel() {
     const infoPanel = document.querySelector('.ruffle-info');
@@ -319,30 +658,15 @@ function toggleInfoPanel() {
     }
 }
 
-// Scan to check for game files
+// Scan to check for game files (health.html shows the full report)
 async function scanGameFiles() {
     console.log("Scanning for Nitrome games...");
     
     try {
-        // We'll use HEAD requests to check if the files exist
-        const foundGames = [];
-        const missingGames = [];
-        
-        // Check each game in our JSON list
-        for (const game of nitromeGames) {
-            const gamePath = game.path;
-            
-            try {
-                const response = await fetch(gamePath, { method: 'HEAD' });
-                if (response.ok) {
-                    foundGames.push(game.name);
-                } else {
-                    missingGames.push(game.name);
-                }
-            } catch (error) {
-                missingGames.push(game.name);
-            }
-        }
+        // HEAD requests with a bounded number in flight, see health-check.js
+        const results = await window.HealthCheck.checkGames(window.CatalogStore.getGames());
+        const foundGames = results.filter(result => result.ok).map(result => result.name);
+        const missingGames = results.filter(result => !result.ok).map(result => result.name);
         
         console.log(`Found ${foundGames.length} games`);
         console.log(`Missing ${missingGames.length} games`);
@@ -353,12 +677,12 @@ async function scanGameFiles() {
             const currentContent = infoPanel.innerHTML;
             infoPanel.innerHTML = currentContent + `
                 <div class="info-row">
-                    <span class="info-label">Found Games:</span>
-                    <span class="info-value">${foundGames.length}</span>
+                    <span class="info-label">${_('foundGames')}</span>
+                    <span class="info-value">${_('gameCount', { count: foundGames.length })}</span>
                 </div>
                 <div class="info-row">
-                    <span class="info-label">Missing Games:</span>
-                    <span class="info-value">${missingGames.length}</span>
+                    <span class="info-label">${_('missingGames')}</span>
+                    <span class="info-value">${_('gameCount', { count: missingGames.length })}</span>
                 </div>
             `;
         }
@@ -368,12 +692,13 @@ async function scanGameFiles() {
             console.log('Missing games:', missingGames);
         }
         
+        return results;
     } catch (error) {
         console.error('Error scanning game files:', error);
     }
 }
 
-// Populate the game dropdown from the nitromeGames array
+// Populate the game dropdown from the catalog store
 function populateGameDropdown() {
     const gameSelector = document.getElementById('game-selector');
     if (!gameSelector) return;
@@ -383,15 +708,27 @@ function populateGameDropdown() {
         gameSelector.remove(1);
     }
     
-    // Add the games to the dropdown
-    nitromeGames.forEach(game => {
+    // Add the games to the dropdown, narrowed down to the personal library filter
+    let games = window.CatalogStore.getGames();
+    if (window.PersonalLibrary) {
+        games = window.PersonalLibrary.filterGames(games, window.PersonalLibrary.getSelectorFilter());
+    }
+    games.forEach(game => {
         const option = document.createElement('option');
         option.value = game.id;
         option.textContent = game.name; // Use the name from JSON
         gameSelector.appendChild(option);
     });
     
-    console.log(`Populated dropdown with ${nitromeGames.length} games`);
+    // Keep the current game selected when it is in the list
+    gameSelector.value = currentGame && games.some(game => game.id === currentGame) ? currentGame : '';
+    
+    console.log(`Populated dropdown with ${games.length} games`);
+    
+    // Mark the games that were downloaded for offline play
+    if (window.OfflineManager) {
+        window.OfflineManager.updateSelector();
+    }
 }
 
 // Handle game selection
@@ -404,6 +741,8 @@ function handleGameSelection() {
 
     // Expose loadGame function globally so it can be used by game-url-loader.js
     window.loadGame = loadGame;
+    window.showHome = showHome;
+    window.getCurrentGame = () => currentGame;
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', async () => {
@@ -434,64 +773,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Load translations first
     await loadTranslations();
     
-    // Set up language switchers
-    document.querySelector('.flag-us').addEventListener('click', function() {
-        if (currentLanguage !== 'en-us') {
-            currentLanguage = 'en-us';
-            updatePageLanguage();
-        }
-    });
+    // Build the language menu from the locales in translations.json
+    window.I18n.createMenu(document.querySelector('.language-selector'));
+    window.addEventListener('languageChanged', updatePageLanguage);
     
-    document.querySelector('.flag-pt').addEventListener('click', function() {
-        if (currentLanguage !== 'pt-pt') {
-            currentLanguage = 'pt-pt';
-            updatePageLanguage();
+    // Keep the time played in the info panel up to date
+    window.addEventListener('playStatsChanged', () => {
+        if (currentGame) {
+            const game = window.CatalogStore.getGame(currentGame);
+            updateInfoPanel(currentGame, currentSource ? currentSource.url : game?.path, game?.name, currentSwfInfo);
         }
     });
     
     // Show the default animation while loading
-    try {
-        const ruffle = window.RufflePlayer.newest();
-        const player = ruffle.createPlayer();
-        player.id = 'ruffle-instance';
-        rufflePlayer.innerHTML = ''; // Clear any existing content
-        rufflePlayer.appendChild(player);
-        
-        // Add a loading message below the player
-        const messageElement = document.createElement('div');
-        messageElement.className = 'default-message';
-        messageElement.textContent = _('loadingGames');
-        rufflePlayer.appendChild(messageElement);
-        
-        // Load the logo animation SWF file
-        player.load({ 
-            url: 'ruffle-assets/logo-anim.swf', 
-            backgroundColor: "#000000"
-        });
-        
-        // Save reference to the player
-        currentPlayer = player;
-    } catch (error) {
-        console.error("Failed to initialize default Ruffle player:", error);
-        // Fallback to the static image if loading the SWF fails
-        if (isMobile) {
-            // Mobile version with logo SVG
-            rufflePlayer.innerHTML = `
-                <div class="default-overlay">
-                    <img src="images/logo.svg" alt="${_('nitromeTitleArchive')}" class="logo-mobile">
-                    <p>${_('loadingGames')}</p>
-                </div>
-            `;
-        } else {
-            // Desktop version with default.png
-            rufflePlayer.innerHTML = `
-                <div class="default-overlay">
-                    <img src="images/default.png" alt="${_('nitromeTitleArchive')}">
-                    <p>${_('loadingGames')}</p>
-                </div>
-            `;
-        }
-    }
+    showDefaultPlayer('loadingGames');
     
     // Listen for window resize events to update the overlay and mobile class
     window.addEventListener('resize', function() {
@@ -549,6 +844,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Setup event listeners
     gameSelector.addEventListener('change', handleGameSelection);
     infoButton.addEventListener('click', toggleInfoPanel);
+    setupCustomSwfInput();
     
     // Apply initial language to the UI
     updatePageLanguage();
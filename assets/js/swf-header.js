@@ -0,0 +1,510 @@
+/**
+ * SWF Header Reader
+ *
+ * Reads the header of a SWF file and returns the metadata shown in the info panel.
+ * Handles uncompressed (FWS), zlib compressed (CWS) and LZMA compressed (ZWS) files.
+ * Only the first few kilobytes of the movie are decompressed, which is enough to
+ * read the stage size, frame rate, frame count, FileAttributes and background color.
+ */
+
+(function() {
+    console.log('[SWF Header] Module loaded');
+
+    // Configuration
+    const CONFIG = {
+        // How many bytes of the (decompressed) movie to inspect for tags
+        maxInspectBytes: 64 * 1024,
+
+        // How many bytes of the file fetchAndParse() downloads. A little more than
+        // maxInspectBytes: compressed data can be slightly larger than what it decodes to.
+        maxDownloadBytes: 72 * 1024,
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[SWF Header]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[SWF Header]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[SWF Header]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[SWF Header]', msg)
+    };
+
+    // Tag codes we care about
+    const TAG_SHOW_FRAME = 1;
+    const TAG_SET_BACKGROUND_COLOR = 9;
+    const TAG_FILE_ATTRIBUTES = 69;
+
+    /**
+     * Check the signature bytes of a SWF file.
+     * Returns 'FWS', 'CWS', 'ZWS' or null if the bytes are not a SWF.
+     */
+    function getSignature(bytes) {
+        if (!bytes || bytes.length < 8) return null;
+
+        const signature = String.fromCharCode(bytes[0], bytes[1], bytes[2]);
+        if (signature === 'FWS' || signature === 'CWS' || signature === 'ZWS') {
+            return signature;
+        }
+        return null;
+    }
+
+    /**
+     * Map a SWF version number to the Flash Player version that introduced it
+     */
+    function getFlashPlayerVersion(swfVersion) {
+        if (swfVersion <= 10) return String(swfVersion);
+        if (swfVersion === 11) return '10.2';
+        if (swfVersion === 12) return '10.3';
+        if (swfVersion <= 22) return `11.${swfVersion - 13}`;
+        return String(swfVersion - 11);
+    }
+
+    /**
+     * Inflate the start of a zlib stream using the browser's DecompressionStream
+     */
+    async function inflatePrefix(compressed, limit) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress CWS files (DecompressionStream missing)');
+        }
+
+        const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate'));
+        const reader = stream.getReader();
+        const output = new Uint8Array(limit);
+        let length = 0;
+
+        try {
+            while (length < limit) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                const count = Math.min(value.length, limit - length);
+                output.set(value.subarray(0, count), length);
+                length += count;
+            }
+        } catch (error) {
+            // A truncated stream still gives us the bytes decoded so far
+            if (length === 0) throw error;
+            Logger.debug(`zlib stream ended early: ${error.message}`);
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+
+        return output.subarray(0, length);
+    }
+
+    /**
+     * Decode the start of a raw LZMA stream (as stored in ZWS files).
+     * This is a straightforward port of the reference decoder in the LZMA SDK,
+     * stopping as soon as `limit` bytes have been produced.
+     */
+    function lzmaDecodePrefix(properties, input, limit) {
+        let d = properties[0];
+        if (d >= 9 * 5 * 5) {
+            throw new Error('Invalid LZMA properties');
+        }
+        const lc = d % 9;
+        d = Math.floor(d / 9);
+        const lp = d % 5;
+        const pb = Math.floor(d / 5);
+
+        // Range decoder
+        let inPos = 0;
+        const nextByte = () => (inPos < input.length ? input[inPos++] : 0);
+
+        if (nextByte() !== 0) {
+            throw new Error('Corrupted LZMA stream');
+        }
+        let range = 0xFFFFFFFF;
+        let code = 0;
+        for (let i = 0; i < 4; i++) {
+            code = ((code << 8) | nextByte()) >>> 0;
+        }
+
+        const normalize = () => {
+            if (range < 0x1000000) {
+                range = (range << 8) >>> 0;
+                code = ((code << 8) | nextByte()) >>> 0;
+            }
+        };
+
+        const decodeBit = (probs, index) => {
+            const prob = probs[index];
+            const bound = (range >>> 11) * prob;
+            let bit;
+            if (code < bound) {
+                probs[index] = prob + ((2048 - prob) >>> 5);
+                range = bound;
+                bit = 0;
+            } else {
+                probs[index] = prob - (prob >>> 5);
+                code -= bound;
+                range -= bound;
+                bit = 1;
+            }
+            normalize();
+            return bit;
+        };
+
+        const decodeDirectBits = (numBits) => {
+            let result = 0;
+            for (let i = 0; i < numBits; i++) {
+                range = range >>> 1;
+                let bit = 0;
+                if (code >= range) {
+                    code -= range;
+                    bit = 1;
+                }
+                result = result * 2 + bit;
+                normalize();
+            }
+            return result;
+        };
+
+        const bitTreeDecode = (probs, offset, numBits) => {
+            let m = 1;
+            for (let i = 0; i < numBits; i++) {
+                m = (m << 1) + decodeBit(probs, offset + m);
+            }
+            return m - (1 << numBits);
+        };
+
+        const bitTreeReverseDecode = (probs, offset, numBits) => {
+            let m = 1;
+            let symbol = 0;
+            for (let i = 0; i < numBits; i++) {
+                const bit = decodeBit(probs, offset + m);
+                m = (m << 1) + bit;
+                symbol |= bit << i;
+            }
+            return symbol;
+        };
+
+        const createProbs = (size) => new Uint16Array(size).fill(1024);
+
+        const createLenDecoder = () => ({
+            choice: createProbs(2),
+            low: createProbs(16 << 3),
+            mid: createProbs(16 << 3),
+            high: createProbs(256)
+        });
+
+        const decodeLen = (decoder, posState) => {
+            if (decodeBit(decoder.choice, 0) === 0) {
+                return bitTreeDecode(decoder.low, posState << 3, 3);
+            }
+            if (decodeBit(decoder.choice, 1) === 0) {
+                return 8 + bitTreeDecode(decoder.mid, posState << 3, 3);
+            }
+            return 16 + bitTreeDecode(decoder.high, 0, 8);
+        };
+
+        // Probability models
+        const literalProbs = createProbs(0x300 << (lc + lp));
+        const posSlotProbs = createProbs(4 << 6);
+        const posProbs = createProbs(1 + 114);
+        const alignProbs = createProbs(1 << 4);
+        const isMatch = createProbs(12 << 4);
+        const isRep = createProbs(12);
+        const isRepG0 = createProbs(12);
+        const isRepG1 = createProbs(12);
+        const isRepG2 = createProbs(12);
+        const isRep0Long = createProbs(12 << 4);
+        const lenDecoder = createLenDecoder();
+        const repLenDecoder = createLenDecoder();
+
+        const decodeDistance = (len) => {
+            const lenState = Math.min(len, 3);
+            const posSlot = bitTreeDecode(posSlotProbs, lenState << 6, 6);
+            if (posSlot < 4) return posSlot;
+
+            const numDirectBits = (posSlot >>> 1) - 1;
+            let dist = (2 | (posSlot & 1)) * Math.pow(2, numDirectBits);
+            if (posSlot < 14) {
+                dist += bitTreeReverseDecode(posProbs, dist - posSlot, numDirectBits);
+            } else {
+                dist += decodeDirectBits(numDirectBits - 4) * 16;
+                dist += bitTreeReverseDecode(alignProbs, 0, 4);
+            }
+            return dist;
+        };
+
+        const output = new Uint8Array(limit);
+        let total = 0;
+        let state = 0;
+        let rep0 = 0, rep1 = 0, rep2 = 0, rep3 = 0;
+        const pbMask = (1 << pb) - 1;
+        const lpMask = (1 << lp) - 1;
+
+        while (total < limit && inPos <= input.length) {
+            const posState = total & pbMask;
+
+            if (decodeBit(isMatch, (state << 4) + posState) === 0) {
+                // Literal
+                const prevByte = total > 0 ? output[total - 1] : 0;
+                const base = 0x300 * (((total & lpMask) << lc) + (prevByte >>> (8 - lc)));
+                let symbol = 1;
+
+                if (state >= 7) {
+                    let matchByte = output[total - rep0 - 1];
+                    do {
+                        const matchBit = (matchByte >>> 7) & 1;
+                        matchByte <<= 1;
+                        const bit = decodeBit(literalProbs, base + ((1 + matchBit) << 8) + symbol);
+                        symbol = (symbol << 1) | bit;
+                        if (matchBit !== bit) break;
+                    } while (symbol < 0x100);
+                }
+                while (symbol < 0x100) {
+                    symbol = (symbol << 1) | decodeBit(literalProbs, base + symbol);
+                }
+
+                output[total++] = symbol - 0x100;
+                state = state < 4 ? 0 : (state < 10 ? state - 3 : state - 6);
+                continue;
+            }
+
+            let len;
+            if (decodeBit(isRep, state) !== 0) {
+                if (total === 0) {
+                    throw new Error('Corrupted LZMA stream');
+                }
+                if (decodeBit(isRepG0, state) === 0) {
+                    if (decodeBit(isRep0Long, (state << 4) + posState) === 0) {
+                        // Short rep: a single byte at distance rep0
+                        state = state < 7 ? 9 : 11;
+                        output[total] = output[total - rep0 - 1];
+                        total++;
+                        continue;
+                    }
+                } else {
+                    let dist;
+                    if (decodeBit(isRepG1, state) === 0) {
+                        dist = rep1;
+                    } else {
+                        if (decodeBit(isRepG2, state) === 0) {
+                            dist = rep2;
+                        } else {
+                            dist = rep3;
+                            rep3 = rep2;
+                        }
+                        rep2 = rep1;
+                    }
+                    rep1 = rep0;
+                    rep0 = dist;
+                }
+                len = decodeLen(repLenDecoder, posState);
+                state = state < 7 ? 8 : 11;
+            } else {
+                rep3 = rep2;
+                rep2 = rep1;
+                rep1 = rep0;
+                len = decodeLen(lenDecoder, posState);
+                state = state < 7 ? 7 : 10;
+                rep0 = decodeDistance(len);
+                if (rep0 === 0xFFFFFFFF) {
+                    // End marker
+                    break;
+                }
+                if (rep0 >= total) {
+                    throw new Error('Corrupted LZMA stream');
+                }
+            }
+
+            len += 2;
+            while (len-- > 0 && total < limit) {
+                output[total] = output[total - rep0 - 1];
+                total++;
+            }
+        }
+
+        return output.subarray(0, total);
+    }
+
+    /**
+     * Read the movie header (everything after the 8 byte file header)
+     * and the first tags of the movie
+     */
+    function readMovieHeader(body) {
+        const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+
+        // Stage RECT: 5 bits for the field size followed by four signed fields (in twips)
+        let bitPos = 0;
+        const readBits = (count, signed) => {
+            let value = 0;
+            for (let i = 0; i < count; i++) {
+                const byte = body[bitPos >>> 3];
+                const bit = (byte >>> (7 - (bitPos & 7))) & 1;
+                value = value * 2 + bit;
+                bitPos++;
+            }
+            if (signed && count > 0 && value >= Math.pow(2, count - 1)) {
+                value -= Math.pow(2, count);
+            }
+            return value;
+        };
+
+        const nBits = readBits(5, false);
+        const xMin = readBits(nBits, true);
+        const xMax = readBits(nBits, true);
+        const yMin = readBits(nBits, true);
+        const yMax = readBits(nBits, true);
+        let offset = Math.ceil(bitPos / 8);
+
+        if (offset + 4 > body.length) {
+            throw new Error('SWF header is truncated');
+        }
+
+        // Frame rate is an 8.8 fixed point number, little endian
+        const frameRate = body[offset + 1] + body[offset] / 256;
+        const frameCount = view.getUint16(offset + 2, true);
+        offset += 4;
+
+        const header = {
+            width: (xMax - xMin) / 20,
+            height: (yMax - yMin) / 20,
+            frameRate,
+            frameCount,
+            fileAttributes: null,
+            backgroundColor: null
+        };
+
+        // Walk the first tags until the first frame is shown
+        while (offset + 2 <= body.length) {
+            const codeAndLength = view.getUint16(offset, true);
+            const code = codeAndLength >>> 6;
+            let length = codeAndLength & 0x3F;
+            offset += 2;
+
+            if (length === 0x3F) {
+                if (offset + 4 > body.length) break;
+                length = view.getUint32(offset, true);
+                offset += 4;
+            }
+
+            if (code === TAG_SHOW_FRAME || code === 0) break;
+
+            if (code === TAG_FILE_ATTRIBUTES && offset + 1 <= body.length) {
+                const flags = body[offset];
+                header.fileAttributes = {
+                    useDirectBlit: !!(flags & 0x40),
+                    useGPU: !!(flags & 0x20),
+                    hasMetadata: !!(flags & 0x10),
+                    actionScript3: !!(flags & 0x08),
+                    noCrossDomainCache: !!(flags & 0x04),
+                    swfRelativeUrls: !!(flags & 0x02),
+                    useNetwork: !!(flags & 0x01)
+                };
+            } else if (code === TAG_SET_BACKGROUND_COLOR && offset + 3 <= body.length) {
+                header.backgroundColor = '#' + [body[offset], body[offset + 1], body[offset + 2]]
+                    .map(value => value.toString(16).padStart(2, '0'))
+                    .join('')
+                    .toUpperCase();
+            }
+
+            if (header.fileAttributes && header.backgroundColor) break;
+            offset += length;
+        }
+
+        return header;
+    }
+
+    /**
+     * Parse the header of a SWF file from an ArrayBuffer or Uint8Array
+     */
+    async function parse(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const signature = getSignature(bytes);
+        if (!signature) {
+            throw new Error('Not a SWF file (missing FWS/CWS/ZWS signature)');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const version = bytes[3];
+        const uncompressedLength = view.getUint32(4, true);
+        const limit = Math.min(Math.max(uncompressedLength - 8, 0), CONFIG.maxInspectBytes);
+
+        let body;
+        if (signature === 'FWS') {
+            body = bytes.subarray(8, 8 + limit);
+        } else if (signature === 'CWS') {
+            body = await inflatePrefix(bytes.subarray(8), limit);
+        } else {
+            if (bytes.length < 17) {
+                throw new Error('SWF header is truncated');
+            }
+            body = lzmaDecodePrefix(bytes.subarray(12, 17), bytes.subarray(17), limit);
+        }
+
+        const movie = readMovieHeader(body);
+        const info = {
+            signature,
+            compression: { FWS: 'none', CWS: 'zlib', ZWS: 'lzma' }[signature],
+            version,
+            flashPlayerVersion: getFlashPlayerVersion(version),
+            uncompressedLength,
+            fileLength: bytes.length,
+            ...movie,
+            actionScript3: movie.fileAttributes ? movie.fileAttributes.actionScript3 : false
+        };
+
+        Logger.debug(`Parsed ${signature} v${version}: ${info.width}x${info.height} @ ${info.frameRate}fps`);
+        return info;
+    }
+
+    /**
+     * Read the first bytes of a response body, then cancel the rest of the download
+     */
+    async function readPrefix(response, limit) {
+        if (!response.body) {
+            return new Uint8Array(await response.arrayBuffer()).subarray(0, limit);
+        }
+
+        const reader = response.body.getReader();
+        const output = new Uint8Array(limit);
+        let length = 0;
+
+        try {
+            while (length < limit) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                const count = Math.min(value.length, limit - length);
+                output.set(value.subarray(0, count), length);
+                length += count;
+            }
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+
+        return output.subarray(0, length);
+    }
+
+    /**
+     * Download the start of a SWF file and parse its header.
+     * Ruffle downloads the whole file itself, so only the header is read here.
+     */
+    async function fetchAndParse(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to download SWF (${response.status} ${response.statusText})`);
+        }
+
+        const bytes = await readPrefix(response, CONFIG.maxDownloadBytes);
+        const info = await parse(bytes);
+
+        // The size of the whole file: the bytes read when the file is smaller than
+        // the limit, otherwise the Content-Length header (null when there is none)
+        const contentLength = parseInt(response.headers.get('content-length'), 10);
+        info.fileLength = bytes.length < CONFIG.maxDownloadBytes ? bytes.length : (contentLength || null);
+        return info;
+    }
+
+    // Export API to window for external access
+    window.SwfHeader = {
+        getSignature,
+        parse,
+        fetchAndParse
+    };
+})();
@@ -0,0 +1,408 @@
+/**
+ * Touch Controls
+ *
+ * On-screen d-pad and action buttons for phones and tablets. Touches are sent to
+ * the Ruffle player as keydown/keyup events (with key-input.js, like gamepad.js),
+ * so keyboard games can be played without a keyboard.
+ *
+ * The overlay shows itself on touch devices and hides when a physical keyboard
+ * is used. A game declares its layout with "touchControls" in games.json:
+ *
+ *   "touchControls": {
+ *     "dpad": { "up": "ArrowUp", "down": "ArrowDown", "left": "ArrowLeft", "right": "ArrowRight" },
+ *     "buttons": [{ "key": "Space", "label": "Jump" }]
+ *   }
+ *
+ * "dpad": false hides the d-pad, and "touchControls": false hides the overlay
+ * (for games played with the mouse).
+ */
+
+(function() {
+    console.log('[Touch Controls] Initializing...');
+
+    // Configuration
+    const CONFIG = {
+        // Layout for games without "touchControls" and for local files
+        defaultLayout: {
+            dpad: { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' },
+            buttons: [{ key: 'KeyZ' }, { key: 'KeyX' }, { key: 'Space' }]
+        },
+
+        // Distance from the d-pad center, as a fraction of its radius, below which no direction is held
+        dpadDeadZone: 0.25,
+
+        // localStorage key of the user's choice: "auto" (show on touch devices) or "off"
+        storageKey: 'touchControls',
+
+        // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
+        logLevel: 3
+    };
+
+    // Logging utility
+    const Logger = {
+        error: (msg) => CONFIG.logLevel >= 1 && console.error('[Touch Controls]', msg),
+        warn: (msg) => CONFIG.logLevel >= 2 && console.warn('[Touch Controls]', msg),
+        info: (msg) => CONFIG.logLevel >= 3 && console.info('[Touch Controls]', msg),
+        debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Touch Controls]', msg)
+    };
+
+    // Directions held for each of the 8 d-pad sectors, clockwise from the right
+    const DPAD_SECTORS = [
+        ['right'], ['down', 'right'], ['down'], ['down', 'left'],
+        ['left'], ['up', 'left'], ['up'], ['up', 'right']
+    ];
+
+    // Layout of the current game, or null when nothing is playing or the game has no controls
+    let layout = null;
+
+    // Whether the last input came from a touch screen rather than a keyboard
+    let touchActive = false;
+
+    // Controls picked by a shared link for the current game: "touch", "pad" or null
+    let linkControls = null;
+    let layoutGameId = null;
+
+    // Key codes held by each pointer, and the keys sent to the player
+    const pointers = new Map();
+    let heldKeys = new Set();
+    let keyTarget = null;
+
+    let overlay = null;
+
+    /**
+     * Get a translated string by key, with optional {name} variables (see i18n.js)
+     */
+    function t(key, vars) {
+        return window.I18n.t(key, vars);
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Get the user's choice: "auto" or "off"
+     */
+    function getMode() {
+        try {
+            return localStorage.getItem(CONFIG.storageKey) === 'off' ? 'off' : 'auto';
+        } catch (error) {
+            return 'auto';
+        }
+    }
+
+    /**
+     * Save the user's choice
+     */
+    function setMode(mode) {
+        try {
+            localStorage.setItem(CONFIG.storageKey, mode);
+        } catch (error) {
+            // Storage not available (private mode)
+        }
+        updateVisibility();
+    }
+
+    /**
+     * Get the layout for a game: its "touchControls" entry over the default layout
+     */
+    function getLayout(game) {
+        const gameLayout = game ? game.touchControls : undefined;
+        if (gameLayout === false) return null;
+
+        const merged = { ...CONFIG.defaultLayout, ...(gameLayout || {}) };
+        return {
+            dpad: merged.dpad ? { ...merged.dpad } : null,
+            buttons: (merged.buttons || []).map(button => ({ ...button }))
+        };
+    }
+
+    /**
+     * Get the label shown on a button without one (KeyZ -> Z, Space -> ␣)
+     */
+    function codeToLabel(code) {
+        if (code === 'Space') return '␣';
+        if (code === 'Enter') return '⏎';
+        const key = window.KeyInput.codeToKey(code);
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
+
+    /**
+     * Send the keys that changed since the last touch event.
+     * Two touches holding the same key send it once.
+     */
+    function updateKeys() {
+        const target = window.KeyInput.getKeyTarget();
+        if (target !== keyTarget) {
+            releaseKeys();
+            keyTarget = target;
+        }
+        if (!target) return;
+
+        const keys = new Set();
+        pointers.forEach(codes => codes.forEach(code => keys.add(code)));
+
+        if (keys.size > 0 && heldKeys.size === 0) {
+            // Ruffle only reads keys while it has focus
+            const player = target.getRootNode().host || target;
+            if (document.activeElement !== player && typeof player.focus === 'function') {
+                player.focus({ preventScroll: true });
+            }
+        }
+
+        heldKeys.forEach(code => {
+            if (!keys.has(code)) window.KeyInput.sendKey(target, 'keyup', code);
+        });
+        keys.forEach(code => {
+            if (!heldKeys.has(code)) window.KeyInput.sendKey(target, 'keydown', code);
+        });
+        heldKeys = keys;
+    }
+
+    /**
+     * Release every held key, e.g. when the game changes or the overlay hides
+     */
+    function releaseKeys() {
+        if (keyTarget && keyTarget.isConnected) {
+            heldKeys.forEach(code => window.KeyInput.sendKey(keyTarget, 'keyup', code));
+        }
+        heldKeys = new Set();
+        keyTarget = null;
+    }
+
+    /**
+     * Get the keys held by a touch on the d-pad, from its position relative to the center
+     */
+    function getDpadKeys(dpad, event) {
+        const rect = dpad.getBoundingClientRect();
+        const radius = Math.min(rect.width, rect.height) / 2;
+        const dx = event.clientX - (rect.left + rect.width / 2);
+        const dy = event.clientY - (rect.top + rect.height / 2);
+
+        if (Math.hypot(dx, dy) < radius * CONFIG.dpadDeadZone) return new Set();
+
+        const sector = (Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) + 8) % 8;
+        return new Set(DPAD_SECTORS[sector].map(direction => layout.dpad[direction]).filter(Boolean));
+    }
+
+    /**
+     * Render the overlay for the current layout
+     */
+    function render() {
+        if (!overlay) return;
+
+        pointers.clear();
+        releaseKeys();
+
+        if (!layout) {
+            overlay.innerHTML = '';
+            updateVisibility();
+            return;
+        }
+
+        const buttonsHTML = layout.buttons.map(button => `
+            <div class="touch-button" data-key="${escapeHTML(button.key)}" role="button" aria-label="${escapeHTML(button.label || button.key)}">${escapeHTML(button.label || codeToLabel(button.key))}</div>
+        `).join('');
+
+        overlay.innerHTML = `
+            ${layout.dpad ? `
+                <div class="touch-dpad" role="group" aria-label="${t('touchDpad')}">
+                    <span class="touch-dpad-up">▲</span>
+                    <span class="touch-dpad-left">◀</span>
+                    <span class="touch-dpad-right">▶</span>
+                    <span class="touch-dpad-down">▼</span>
+                </div>
+            ` : '<div></div>'}
+            <div class="touch-buttons">${buttonsHTML}</div>
+        `;
+
+        updateVisibility();
+    }
+
+    /**
+     * Show the overlay when a game with controls is playing on a touch screen
+     */
+    function updateVisibility() {
+        if (!overlay) return;
+
+        const visible = Boolean(layout) && (linkControls === 'touch' ||
+            (linkControls !== 'pad' && touchActive && getMode() === 'auto'));
+        if (overlay.hidden !== !visible) {
+            overlay.hidden = !visible;
+            document.body.classList.toggle('touch-controls-visible', visible);
+            if (!visible) {
+                pointers.clear();
+                releaseKeys();
+            }
+        }
+
+        const button = document.getElementById('touch-btn');
+        if (button) {
+            button.classList.toggle('active', getMode() === 'auto');
+        }
+    }
+
+    /**
+     * Use the layout of a game (null for local files).
+     * Called by script.js when a game or a local file is loaded.
+     */
+    function setGame(game) {
+        // The controls picked by a link only apply to the game it opened
+        const gameId = game ? game.id : null;
+        if (gameId !== layoutGameId) {
+            linkControls = null;
+            layoutGameId = gameId;
+        }
+
+        layout = getLayout(game);
+        Logger.debug(`Layout for ${game ? game.id : 'local file'}: ${JSON.stringify(layout)}`);
+        render();
+    }
+
+    /**
+     * Force the overlay on ("touch") or off ("pad") for the current game, without
+     * saving the choice. null goes back to the automatic behavior.
+     * Used for the controls parameter of shared links (see player-options.js).
+     */
+    function setControls(controls) {
+        linkControls = controls === 'touch' || controls === 'pad' ? controls : null;
+        updateVisibility();
+    }
+
+    /**
+     * Handle a touch starting on the d-pad or a button
+     */
+    function onPointerDown(event) {
+        const dpad = event.target.closest('.touch-dpad');
+        const button = event.target.closest('.touch-button');
+        if (!dpad && !button) return;
+
+        // Keep the focus on the player
+        event.preventDefault();
+        (dpad || button).setPointerCapture(event.pointerId);
+
+        pointers.set(event.pointerId, dpad ? getDpadKeys(dpad, event) : new Set([button.dataset.key]));
+        if (button) button.classList.add('pressed');
+        updateKeys();
+    }
+
+    /**
+     * Handle a touch sliding over the d-pad
+     */
+    function onPointerMove(event) {
+        if (!pointers.has(event.pointerId)) return;
+
+        const dpad = event.target.closest('.touch-dpad');
+        if (!dpad) return;
+
+        pointers.set(event.pointerId, getDpadKeys(dpad, event));
+        updateKeys();
+    }
+
+    /**
+     * Handle a touch ending
+     */
+    function onPointerUp(event) {
+        if (!pointers.has(event.pointerId)) return;
+
+        const button = event.target.closest('.touch-button');
+        if (button) button.classList.remove('pressed');
+
+        pointers.delete(event.pointerId);
+        updateKeys();
+    }
+
+    /**
+     * Create the overlay and the button that turns it on and off
+     */
+    function createOverlay() {
+        if (document.getElementById('touch-controls')) return;
+
+        overlay = document.createElement('div');
+        overlay.id = 'touch-controls';
+        overlay.className = 'touch-controls';
+        overlay.hidden = true;
+        document.body.appendChild(overlay);
+
+        overlay.addEventListener('pointerdown', onPointerDown);
+        overlay.addEventListener('pointermove', onPointerMove);
+        overlay.addEventListener('pointerup', onPointerUp);
+        overlay.addEventListener('pointercancel', onPointerUp);
+        overlay.addEventListener('contextmenu', (event) => event.preventDefault());
+
+        const infoButtonContainer = document.querySelector('.info-button');
+        if (infoButtonContainer) {
+            const button = document.createElement('button');
+            button.id = 'touch-btn';
+            button.textContent = '✥';
+            button.title = t('touchControls');
+            infoButtonContainer.prepend(button);
+
+            button.addEventListener('click', () => {
+                if (getMode() === 'off') {
+                    touchActive = true;
+                    setMode('auto');
+                } else {
+                    setMode('off');
+                }
+            });
+        }
+    }
+
+    /**
+     * Initialize the touch controls
+     */
+    function initialize() {
+        touchActive = window.matchMedia ? window.matchMedia('(pointer: coarse)').matches : false;
+        createOverlay();
+        render();
+
+        // Show on touch, hide when a physical keyboard is used (the keys sent by
+        // this script and gamepad.js are not trusted events, so they don't count)
+        window.addEventListener('pointerdown', (event) => {
+            if (event.pointerType === 'touch' && !touchActive) {
+                touchActive = true;
+                updateVisibility();
+            }
+        }, true);
+
+        window.addEventListener('keydown', (event) => {
+            if (event.isTrusted && touchActive) {
+                touchActive = false;
+                Logger.debug('Keyboard used, hiding the touch controls');
+                updateVisibility();
+            }
+        }, true);
+
+        // Games loaded by url-engine.js without script.js
+        window.addEventListener('gameLoaded', (event) => {
+            if (event.detail && event.detail.game) setGame(event.detail.game);
+        });
+        window.addEventListener('languageChanged', render);
+    }
+
+    // Start when the DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+        initialize();
+    }
+
+    // Export API to window for external access
+    window.TouchControls = {
+        setGame,
+        setControls,
+        getLayout,
+        show: () => {
+            touchActive = true;
+            setMode('auto');
+        },
+        hide: () => setMode('off'),
+        isVisible: () => Boolean(overlay && !overlay.hidden)
+    };
+})();
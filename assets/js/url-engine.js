@@ -1,9 +1,10 @@
 /**
  * Game URL Loader
  * 
- * This script enables direct game loading via URLs like jogos.ipv7.pt/<gamename>
- * It automatically parses the URL, finds the corresponding game in the games list,
- * and loads it directly without requiring user selection.
+ * Loads a game by its id or slug (jogos.ipv7.pt/<gamename>) into the main page's
+ * player, or into a container of its own on other pages. Reading the address bar
+ * and back/forward navigation are handled by router.js, which loads the game of
+ * the URL through GameUrlLoader.loadGame().
  */
 
 (function() {
@@ -11,21 +12,12 @@
     
     // Configuration
     const CONFIG = {
-        // Path to the JSON file containing game information
-        gamesJsonPath: 'games.json',
-        
-        // Path to translations file
-        translationsPath: 'translations.json',
-        
         // The container element where games should be loaded
         gameContainerSelector: '#game-container',
         
         // Default game to load if none is specified in URL (optional)
         defaultGame: '',
         
-        // Default language (will be detected from browser if possible)
-        defaultLanguage: 'pt-pt',
-        
         // Logging level: 0=none, 1=errors, 2=warnings, 3=info, 4=debug
         logLevel: 3
     };
@@ -38,230 +30,57 @@
         debug: (msg) => CONFIG.logLevel >= 4 && console.debug('[Game URL Loader]', msg)
     };
     
-    // Store game data
-    let gamesData = null;
-    
-    // Store translations
-    let translations = null;
-    let currentLanguage = CONFIG.defaultLanguage;
+    // Games and translations are loaded by catalog-store.js, the language is picked by i18n.js
     
     /**
-     * Load translations from the translations.json file
+     * Get a translated string by key, with optional {name} variables
      */
-    async function loadTranslations() {
-        try {
-            const response = await fetch(CONFIG.translationsPath);
-            if (!response.ok) {
-                throw new Error(`Failed to load translations (${response.status} ${response.statusText})`);
-            }
-            
-            const data = await response.json();
-            Logger.info('Translations loaded successfully');
-            
-            // Detect browser language
-            const browserLang = navigator.language.toLowerCase();
-            if (data[browserLang]) {
-                currentLanguage = browserLang;
-            } else if (browserLang.startsWith('pt')) {
-                currentLanguage = 'pt-pt';
-            } else {
-                currentLanguage = 'en-us';
-            }
-            
-            Logger.debug(`Using language: ${currentLanguage}`);
-            return data;
-        } catch (error) {
-            Logger.error(`Error loading translations: ${error.message}`);
-            return null;
-        }
+    function t(key, vars) {
+        return window.I18n.t(key, vars);
     }
     
     /**
-     * Get a translated string by key
-     */
-    function t(key, defaultValue = key) {
-        if (!translations || !translations[currentLanguage]) {
-            return defaultValue;
-        }
-        
-        return translations[currentLanguage][key] || defaultValue;
-    }
-    
-    /**
-     * Fetch and parse the games JSON file
+     * Wait for the shared catalog (catalog-store.js validates and reports it)
      */
     async function loadGamesData() {
         try {
-            const response = await fetch(CONFIG.gamesJsonPath);
-            if (!response.ok) {
-                throw new Error(`Failed to load games data (${response.status} ${response.statusText})`);
-            }
-            
-            const jsonData = await response.json();
-            
-            // Process the games data from the nitromeGames array
-            const processedGames = {};
-            
-            // Handle different possible JSON structures
-            
-            // Case 1: Direct object with game IDs as keys
-            if (typeof jsonData === 'object' && !Array.isArray(jsonData) && !jsonData.nitromeGames) {
-                Logger.debug('Detected direct object with game IDs as keys');
-                
-                Object.entries(jsonData).forEach(([id, game]) => {
-                    if (typeof game === 'object') {
-                        processedGames[id.toLowerCase()] = {
-                            id: id,
-                            ...game
-                        };
-                    }
-                });
-            }
-            
-            // Case 2: Structure with nitromeGames array
-            if (jsonData.nitromeGames && Array.isArray(jsonData.nitromeGames)) {
-                Logger.debug('Detected nitromeGames array structure');
-                
-                jsonData.nitromeGames.forEach(game => {
-                    if (game.id) {
-                        processedGames[game.id.toLowerCase()] = game;
-                    }
-                });
-            }
-            
-            // Case 3: Other arrays in the JSON
-            Object.keys(jsonData).forEach(collectionKey => {
-                if (collectionKey !== 'nitromeGames' && Array.isArray(jsonData[collectionKey])) {
-                    Logger.debug(`Processing game collection: ${collectionKey}`);
-                    
-                    jsonData[collectionKey].forEach(game => {
-                        if (game.id) {
-                            processedGames[game.id.toLowerCase()] = game;
-                        }
-                    });
-                }
-            });
-            
-            // Case 4: JSON is directly an array of games
-            if (Array.isArray(jsonData)) {
-                Logger.debug('Detected direct array of games');
-                
-                jsonData.forEach(game => {
-                    if (game.id) {
-                        processedGames[game.id.toLowerCase()] = game;
-                    }
-                });
-            }
-            
-            const gameCount = Object.keys(processedGames).length;
-            if (gameCount === 0) {
+            const { games } = await window.CatalogStore.load();
+            if (games.length === 0) {
                 Logger.error('No games found in the JSON data. Check the format of your games.json file.');
-                return null;
+                return false;
             }
             
-            Logger.info(`Loaded games data: ${gameCount} games found`);
-            return processedGames;
+            Logger.info(`Loaded games data: ${games.length} games found`);
+            return true;
         } catch (error) {
             Logger.error(`Error loading games data: ${error.message}`);
-            return null;
+            return false;
         }
     }
     
     /**
-     * Parse the current URL to extract the game name
+     * Get the game named in the current URL (see router.js)
      */
     function getGameNameFromUrl() {
-        // Get the path from the URL (after the domain)
-        const path = window.location.pathname;
-        
-        // Split the path by '/' and filter out empty strings
-        const pathParts = path.split('/').filter(part => part.trim() !== '');
-        
-        // The first part after the domain should be the game name
-        const gameName = pathParts[0];
+        const gameName = window.Router ? window.Router.getGameRef() : null;
         
-        Logger.debug(`URL path: ${path}, Extracted game name: ${gameName || 'none'}`);
+        Logger.debug(`URL path: ${window.location.pathname}, Extracted game name: ${gameName || 'none'}`);
         return gameName || CONFIG.defaultGame;
     }
     
     /**
-     * Find a game in the games data by its URL name
+     * Get the shareable URL of a game
      */
-    function findGameByUrlName(urlName) {
-        if (!gamesData) return null;
-        
-        if (!urlName) return null;
-        
-        // Convert to lowercase for case-insensitive matching
-        const searchName = urlName.toLowerCase();
-        
-        // First try direct match with lowercase id
-        if (gamesData[searchName]) {
-            return gamesData[searchName];
-        }
-        
-        // Try to find a game with matching id (case insensitive)
-        for (const [id, game] of Object.entries(gamesData)) {
-            // If the game has an id field that matches (case insensitive)
-            if (game.id && game.id.toLowerCase() === searchName) {
-                return game;
-            }
-            
-            // Compare with URL-friendly versions of the game name
-            if (game.name) {
-                const gameUrlName = makeUrlFriendly(game.name);
-                if (gameUrlName === searchName) {
-                    return game;
-                }
-            }
-        }
-        
-        return null;
+    function getShareUrl(game) {
+        return window.Router ? window.Router.getGameUrl(game) : `${window.location.origin}/${encodeURIComponent(game.id)}`;
     }
     
     /**
-     * Convert a string to a URL-friendly format
+     * Find a game by its URL name: the id, or a slug of the name
      */
-    function makeUrlFriendly(str) {
-        if (!str) return '';
-        
-        return str
-            .toLowerCase()
-            .replace(/[^a-z0-9]+/g, '-')  // Replace non-alphanumeric with hyphens
-            .replace(/^-+|-+$/g, '')      // Remove leading/trailing hyphens
-            .trim();
-    }
-    
-    /**
-     * Load a game based on the current URL
-     */
-    async function loadGameFromUrl() {
-        // Get the game name from the URL
-        const urlGameName = getGameNameFromUrl();
-        if (!urlGameName) {
-            Logger.info('No game specified in URL');
-            return;
-        }
-        
-        // Make sure we have the games data
-        if (!gamesData) {
-            gamesData = await loadGamesData();
-            if (!gamesData) {
-                Logger.error('Could not load games data');
-                return;
-            }
-        }
-        
-        // Find the game in our data
-        const game = findGameByUrlName(urlGameName);
-        if (!game) {
-            Logger.warn(`Game not found: ${urlGameName}`);
-            return;
-        }
-        
-        // Load the game
-        Logger.info(`Loading game: ${game.name || game.id}`);
-        loadGame(game);
+    function findGameByUrlName(urlName) {
+        if (!urlName) return null;
+        return window.CatalogStore.findGame(urlName);
     }
     
     /**
@@ -273,7 +92,7 @@
         
         // Update page title with game name
         if (game.name) {
-            document.title = `${game.name} - ${document.title.split(' - ')[1] || 'Flash Games'}`;
+            document.title = `${game.name} - ${document.title.split(' - ')[1] || t('siteTitle')}`;
         }
         
         // Check if we're on the main page with the default Ruffle player
@@ -284,14 +103,12 @@
             // We're on the main page, use the main site's loadGame function
             Logger.info('Using main page Ruffle player');
             
-            // Call the main page's loadGame function
+            // Call the main page's loadGame function, which dispatches
+            // the gameLoaded event once the player is created
             mainLoadGameFunction(game.id);
             
             // Create a game info element
             createGameInfoElement(game);
-            
-            // Dispatch a custom event that the game was loaded
-            window.dispatchEvent(new CustomEvent('gameLoaded', { detail: { game } }));
             return;
         }
         
@@ -336,16 +153,20 @@
                     player.style.height = '100%';
                     container.appendChild(player);
                     
-                    // Configure the player options
-                    const playerOptions = {
-                        // Use game-specific configuration if available
-                        ...game.ruffleOptions,
+                    // Apply the redirect rules of this game (see redirector.js)
+                    if (window.Redirector) {
+                        window.Redirector.setGameRules(game);
+                    }
+                    
+                    // Configure the player options: site config, then the game's
+                    // Ruffle options and flashvars (see player-options.js)
+                    const playerOptions = window.PlayerOptions.build(game, {
                         // Allow script access by default
-                        allowScriptAccess: true
-                    };
+                        allowScriptAccess: game.ruffleOptions?.allowScriptAccess ?? true
+                    });
                     
                     // Load the SWF
-                    player.load(gamePath, playerOptions);
+                    player.load({ ...playerOptions, url: gamePath });
                     
                     // Create a game info element
                     createGameInfoElement(game);
@@ -355,9 +176,9 @@
                 } catch (error) {
                     Logger.error(`Error creating Ruffle player: ${error.message}`);
                     container.innerHTML = `<div style="color: white; padding: 20px; text-align: center;">
-                        <h3>Error loading game</h3>
+                        <h3>${t('errorLoadingGame')}</h3>
                         <p>${error.message}</p>
-                        <p>Please check that Ruffle is properly installed.</p>
+                        <p>${t('ruffleCheckInstall')}</p>
                     </div>`;
                 }
             } else {
@@ -365,7 +186,7 @@
                 if (document.querySelector('script[src*="ruffle"]')) {
                     // Ruffle script is in the page but not loaded yet
                     Logger.info('Waiting for Ruffle to load...');
-                    container.innerHTML = '<div style="color: white; padding: 20px; text-align: center;">Loading Ruffle player...</div>';
+                    container.innerHTML = `<div style="color: white; padding: 20px; text-align: center;">${t('loadingRuffle')}</div>`;
                     
                     // Wait for Ruffle to be available
                     const checkRuffle = setInterval(() => {
@@ -381,9 +202,9 @@
                         if (typeof window.RufflePlayer === 'undefined') {
                             Logger.error('Ruffle failed to load within the timeout period');
                             container.innerHTML = `<div style="color: white; padding: 20px; text-align: center;">
-                                <h3>Error loading Ruffle</h3>
-                                <p>The Ruffle player did not load within the expected time.</p>
-                                <p>Please refresh the page and try again.</p>
+                                <h3>${t('errorLoadingRuffle')}</h3>
+                                <p>${t('ruffleTimeout')}</p>
+                                <p>${t('refreshAndRetry')}</p>
                             </div>`;
                         }
                     }, 10000); // 10 second timeout
@@ -400,8 +221,18 @@
                     embed.setAttribute('quality', 'high');
                     
                     // Add game-specific parameters
-                    if (game.flashvars) {
-                        embed.setAttribute('flashvars', game.flashvars);
+                    const options = window.PlayerOptions.build(game);
+                    if (options.parameters) {
+                        embed.setAttribute('flashvars', window.PlayerOptions.toQueryString(options.parameters));
+                    }
+                    if (options.backgroundColor) {
+                        embed.setAttribute('bgcolor', options.backgroundColor);
+                    }
+                    if (options.scale) {
+                        embed.setAttribute('scale', options.scale);
+                    }
+                    if (options.quality) {
+                        embed.setAttribute('quality', options.quality);
                     }
                     
                     // Clear the container and add the embed
@@ -415,7 +246,7 @@
                     warning.style.marginTop = '10px';
                     warning.style.backgroundColor = '#ffdddd';
                     warning.style.border = '1px solid #ff0000';
-                    warning.innerHTML = 'Warning: Ruffle Flash emulator not detected. This game may not work in modern browsers without Ruffle.';
+                    warning.textContent = t('ruffleNotDetected');
                     container.parentNode.insertBefore(warning, container.nextSibling);
                     
                     // Create a game info element
@@ -441,7 +272,7 @@
         infoElement.innerHTML = `
             <h2>${game.name || game.id}</h2>
             ${game.description ? `<p>${game.description}</p>` : ''}
-            <p class="share-link">Share this game: <a href="${window.location.origin}/${encodeURIComponent(game.id)}">${window.location.origin}/${game.id}</a></p>
+            <p class="share-link">${t('shareThisGame')} <a href="${getShareUrl(game)}">${getShareUrl(game)}</a></p>
         `;
         
         // Find a place to put the info element (outside the container to not interfere with the game)
@@ -464,24 +295,10 @@
      */
     async function initialize() {
         Logger.info('Loading translations...');
-        translations = await loadTranslations();
+        await window.I18n.ready;
         
         Logger.info('Loading games data...');
-        gamesData = await loadGamesData();
-        
-        if (gamesData) {
-            Logger.info('Checking URL for game to load...');
-            
-            // Wait a short time to ensure the DOM is fully loaded
-            setTimeout(() => {
-                loadGameFromUrl();
-            }, 100);
-            
-            // Set up URL change monitoring (for single page apps)
-            if ('onpopstate' in window) {
-                window.addEventListener('popstate', loadGameFromUrl);
-            }
-        }
+        await loadGamesData();
     }
     
     // More reliable DOM ready check
@@ -499,7 +316,7 @@
     // Export API to window for external access
     window.GameUrlLoader = {
         loadGame: (gameId) => {
-            if (!gamesData) {
+            if (!window.CatalogStore.isLoaded()) {
                 Logger.error('Games data not loaded yet');
                 return false;
             }
@@ -513,13 +330,10 @@
                 return false;
             }
         },
-        getGames: () => gamesData ? {...gamesData} : null,
+        getGames: () => window.CatalogStore.isLoaded() ? window.CatalogStore.getGamesById() : null,
         getGameUrl: (gameId) => {
             const game = findGameByUrlName(gameId);
-            if (game) {
-                return `${window.location.origin}/${encodeURIComponent(game.id)}`;
-            }
-            return null;
+            return game ? getShareUrl(game) : null;
         },
         /**
          * Add a share button to the page that copies the current game URL to clipboard
@@ -533,7 +347,7 @@
             }
             
             // Check if game exists
-            if (!gamesData) {
+            if (!window.CatalogStore.isLoaded()) {
                 Logger.debug('Games data not loaded yet, waiting before adding share button');
                 setTimeout(() => window.GameUrlLoader.addShareButton(), 1000);
                 return;
@@ -554,7 +368,7 @@
             // Create share button element
             const shareButton = document.createElement('div');
             shareButton.className = 'game-share-button';
-            shareButton.innerHTML = `<span>${t('shareButton', 'Partilhar')}</span>`;
+            shareButton.innerHTML = `<span>${t('shareButton')}</span>`;
             
             // Style the button
             shareButton.style.position = 'fixed';
@@ -599,7 +413,7 @@
                     // Show success message
                     const message = document.createElement('div');
                     message.className = 'game-share-message';
-                    message.textContent = t('shareSuccess', "Jogo copiado para a área de transferência, partilha no WhatsApp com os teus amigos!!");
+                    message.textContent = t('shareSuccess');
                     
                     // Style the message
                     message.style.position = 'fixed';
@@ -632,7 +446,7 @@
                     Logger.info(`Game URL copied to clipboard: ${gameUrl}`);
                 } catch (err) {
                     // Show error message (clipboard might be blocked for security reasons)
-                    alert(`URL do jogo: ${gameUrl}\n\nCopia este link e partilha com os teus amigos!`);
+                    alert(t('shareFallback', { url: gameUrl }));
                     Logger.error(`Error copying to clipboard: ${err}`);
                 }
             };
@@ -650,5 +464,13 @@
         }, 1000); // Wait 1 second to ensure games are loaded
     });
     
+    // Translate the share button when the language changes
+    window.addEventListener('languageChanged', () => {
+        const label = document.querySelector('.game-share-button span:last-child');
+        if (label) {
+            label.textContent = t('shareButton');
+        }
+    });
+    
     Logger.info('Initialization complete');
 })();
@@ -0,0 +1,189 @@
+/**
+ * Service Worker
+ *
+ * Precaches the app shell and the Ruffle runtime so the archive opens without a
+ * network connection, and serves the SWF files that users downloaded for offline
+ * play from a separate games cache (managed by assets/js/offline.js).
+ */
+
+// Bump this when the list of shell files changes
+const CACHE_VERSION = 'v21';
+const SHELL_CACHE = `ruffle-shell-${CACHE_VERSION}`;
+
+// Games are kept across shell updates, only the user removes them
+const GAMES_CACHE = 'ruffle-games';
+
+// Pages that check the files on their servers: the games cache is never used for their requests
+const LIVE_PAGES = ['health.html'];
+
+// Files needed to start the app
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'embed.html',
+    'styles.css',
+    'games.json',
+    'translations.json',
+    'redirect-rules.json',
+    'assets/js/catalog-schema.js',
+    'assets/js/catalog-store.js',
+    'assets/js/i18n.js',
+    'assets/js/url-engine.js',
+    'assets/js/swf-header.js',
+    'assets/js/player-options.js',
+    'assets/js/health-check.js',
+    'assets/js/game-sources.js',
+    'assets/js/script.js',
+    'assets/js/redirector.js',
+    'assets/js/patch1.0.js',
+    'assets/js/router.js',
+    'assets/js/key-input.js',
+    'assets/js/gamepad.js',
+    'assets/js/touch-controls.js',
+    'assets/js/capture.js',
+    'assets/js/personal-library.js',
+    'assets/js/play-stats.js',
+    'assets/js/embed.js',
+    'assets/js/host-api.js',
+    'assets/js/offline.js',
+    'assets/js/save-manager.js',
+    'assets/js/network-inspector.js',
+    'assets/js/library.js',
+    'images/logo.svg',
+    'images/default.png',
+    'images/flags/us.svg',
+    'images/flags/pt.svg',
+    'images/flags/es.svg',
+    'images/flags/fr.svg'
+];
+
+// Ruffle runtime files, cached when available (the wasm binaries are deployed separately)
+const RUFFLE_FILES = [
+    'ruffle-assets/ruffle.js',
+    'ruffle-assets/core.ruffle.5eeacf8587e8e8d0b59a.js',
+    'ruffle-assets/core.ruffle.ebbd72225cb4ee0121ba.js',
+    'ruffle-assets/9823108c1e667c8433ea.wasm',
+    'ruffle-assets/b379fac6f6660e0331d6.wasm',
+    'ruffle-assets/logo-anim.swf'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+
+        const results = await Promise.allSettled(RUFFLE_FILES.map(file => cache.add(file)));
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                console.warn('[Service Worker] Could not precache', RUFFLE_FILES[index]);
+            }
+        });
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // Remove shell caches from older versions
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('ruffle-shell-') && key !== SHELL_CACHE)
+            .map(key => caches.delete(key)));
+
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Serve a game SWF that was downloaded for offline play.
+ * HEAD requests (used by game-sources.js to check a game exists) are answered from the cached headers.
+ */
+async function matchGame(request) {
+    const cache = await caches.open(GAMES_CACHE);
+    const cached = await cache.match(request.url, { ignoreMethod: true });
+    if (!cached) return null;
+
+    if (request.method === 'HEAD') {
+        return new Response(null, { status: cached.status, headers: cached.headers });
+    }
+    return cached;
+}
+
+/**
+ * Check whether a request was made by one of the LIVE_PAGES (the catalog health check
+ * must see the CDN's answer, not the copy of a game downloaded for offline play)
+ */
+async function isFromLivePage(event) {
+    if (!event.clientId) return false;
+
+    const client = await self.clients.get(event.clientId);
+    return Boolean(client) && LIVE_PAGES.some(page => new URL(client.url).pathname.endsWith(`/${page}`));
+}
+
+/**
+ * Network first, falling back to the cache (keeps games.json and the scripts fresh)
+ */
+async function networkFirst(request, fallbackUrl) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok && request.method === 'GET' && !fallbackUrl) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(fallbackUrl || request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Cache first, filling the cache on the first request (the Ruffle runtime never changes for a given file name)
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' && request.method !== 'HEAD') return;
+
+    const url = new URL(request.url);
+
+    event.respondWith((async () => {
+        // Games downloaded for offline play, wherever they are hosted
+        const game = await isFromLivePage(event) ? null : await matchGame(request);
+        if (game) return game;
+
+        if (url.origin !== self.location.origin) {
+            return fetch(request);
+        }
+
+        // Embed URLs (/embed/bad-ice-cream) resolve to embed.html
+        if (request.mode === 'navigate' && /\/embed\/[^/]+\/?$/.test(url.pathname)) {
+            return networkFirst(request, 'embed.html');
+        }
+
+        // Every other page (/bad-ice-cream, /bad-ice-cream/, /c/nitrome, /search?q=...) is index.html,
+        // routed by router.js. Its <base href="/"> loads the site's files from the root at any depth.
+        if (request.mode === 'navigate') {
+            return networkFirst(request, 'index.html');
+        }
+
+        if (url.pathname.includes('/ruffle-assets/')) {
+            return cacheFirst(request);
+        }
+
+        return networkFirst(request);
+    })());
+});
@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+/**
+ * Build Pages
+ *
+ * Pre-renders one page per game for search engines and link previews, and
+ * writes sitemap.xml. The site changes its URL to /<slug>/ on the client, after
+ * a crawler has read the generic tags of index.html; these pages carry the
+ * game's own title, description, og:image, canonical URL, hreflang alternates
+ * and JSON-LD VideoGame data.
+ *
+ * Every game gets one page per locale of translations.json at /lang/<locale>/<slug>/,
+ * which i18n.js shows in that locale, and /<slug>/, which picks the visitor's
+ * language and is the x-default alternate. The home page gets /lang/<locale>/ too.
+ * Each page is its own canonical URL and lists the others as alternates.
+ *
+ *   node tools/build-pages.js [games.json] [--base-url https://example.com/] [--out dir] [--locale pt-pt]
+ *
+ * Each page is a copy of index.html at <out>/<slug>/index.html (and
+ * <out>/lang/<locale>/...), so the site works the same once the scripts run. Run it as the deploy build step.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const CatalogSchema = require('../assets/js/catalog-schema.js');
+const { createSlug, RESERVED_SLUGS } = require('../assets/js/catalog-store.js');
+
+const ROOT = path.join(__dirname, '..');
+
+const CONFIG = {
+    // Public URL of the site root
+    baseUrl: 'https://ruffle-player-extended.pages.dev/',
+
+    // Locale of the titles and descriptions of the x-default pages (the default locale of assets/js/i18n.js)
+    locale: 'pt-pt',
+
+    // Folder of the per-locale pages, read by assets/js/i18n.js (reserved in CatalogStore.RESERVED_SLUGS)
+    localeFolder: 'lang',
+
+    // Locale used for keys missing from the page locale
+    fallbackLocale: 'en-us',
+
+    // Image used when a game has no thumbnail
+    defaultImage: 'images/default.png',
+
+    // Comment at the top of every generated page, so stale pages can be told apart from the site's own files
+    marker: '<!-- Generated by tools/build-pages.js from index.html, do not edit -->'
+};
+
+/**
+ * Read and parse a JSON file
+ */
+function readJSON(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Get the value of a --name value option
+ */
+function getOption(argv, name, fallback) {
+    const index = argv.indexOf(`--${name}`);
+    return index !== -1 && argv[index + 1] ? argv[index + 1] : fallback;
+}
+
+/**
+ * Escape text for use in HTML and XML
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Translate a key for a locale, with {name} variables (same format as assets/js/i18n.js)
+ */
+function translate(translations, locale, key, vars = {}) {
+    const strings = [locale, CONFIG.fallbackLocale].map(code => translations[code] || {});
+    const text = strings.map(table => table[key]).find(value => typeof value === 'string') || key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? vars[name] : match));
+}
+
+/**
+ * Format a locale code for hreflang and og:locale (pt-pt -> pt-PT)
+ */
+function formatLocale(code, separator = '-') {
+    const [language, region] = code.split('-');
+    return region ? `${language}${separator}${region.toUpperCase()}` : language;
+}
+
+/**
+ * Get the games to build pages for: the valid catalog entries with their slug.
+ * Games whose slug is taken or reserved are skipped (catalog-cli.js lint reports both).
+ */
+function getPageGames(data) {
+    const result = CatalogSchema.validateCatalog(data);
+    const slugs = new Set(RESERVED_SLUGS);
+    const games = [];
+    const skipped = [];
+
+    result.games.forEach(game => {
+        const slug = createSlug(game.name || game.id);
+        if (!slug || slugs.has(slug)) {
+            skipped.push({ id: game.id, reason: slug ? `slug "${slug}" is taken` : 'empty slug' });
+            return;
+        }
+        slugs.add(slug);
+        games.push({ game, slug });
+    });
+
+    result.invalid.forEach(entry => skipped.push({ id: entry.id || `${entry.collection}[${entry.index}]`, reason: 'invalid catalog entry' }));
+
+    return { games, skipped };
+}
+
+/**
+ * Get the path of a page from the site root: the home page ('') or a game slug,
+ * for a locale (lang/<locale>/...) or for the x-default page (null)
+ */
+function getPagePath(slug, locale) {
+    return (locale ? `${CONFIG.localeFolder}/${locale}/` : '') + (slug ? `${slug}/` : '');
+}
+
+/**
+ * Get the hreflang alternates of a page: one per locale, and the x-default page
+ */
+function getAlternates(slug, context) {
+    return context.locales
+        .map(code => ({ hreflang: formatLocale(code), href: new URL(getPagePath(slug, code), context.baseUrl).href }))
+        .concat({ hreflang: 'x-default', href: new URL(getPagePath(slug, null), context.baseUrl).href });
+}
+
+/**
+ * Build the JSON-LD VideoGame data of a game
+ */
+function buildStructuredData(game, page) {
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'VideoGame',
+        name: game.name,
+        url: page.url,
+        description: page.description,
+        image: page.image,
+        gamePlatform: 'Web browser (Adobe Flash, emulated with Ruffle)',
+        applicationCategory: 'Game',
+        operatingSystem: 'Any'
+    };
+
+    if (game.publisher) data.publisher = { '@type': 'Organization', name: game.publisher };
+    if (game.year) data.datePublished = String(game.year);
+    if (game.tags && game.tags.length) data.genre = game.tags;
+
+    // Keep "</script>" in a name or description from closing the script element
+    return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+/**
+ * Build the page data of a game, or of the home page when game is null, in a locale
+ * (null for the x-default page): { url, locale, name, title, description, image, alternates }
+ */
+function getPageData(game, slug, locale, context) {
+    const pageLocale = locale || context.locale;
+    const siteTitle = translate(context.translations, pageLocale, 'siteTitle');
+    return {
+        url: new URL(getPagePath(slug, locale), context.baseUrl).href,
+        locale: pageLocale,
+        name: game ? game.name : siteTitle,
+        title: game ? `${game.name} - ${siteTitle}` : siteTitle,
+        description: game
+            ? game.description || translate(context.translations, pageLocale, 'gamePageDescription', { game: game.name })
+            : translate(context.translations, pageLocale, 'siteDescription'),
+        image: new URL((game && game.thumbnail) || CONFIG.defaultImage, context.baseUrl).href,
+        alternates: getAlternates(slug, context)
+    };
+}
+
+/**
+ * Build the head tags of a page, in place of the generic ones of index.html
+ */
+function buildHeadTags(game, page, context) {
+    const indent = '    ';
+    const tags = [
+        `<title>${escapeHTML(page.title)}</title>`,
+        `<meta name="description" content="${escapeHTML(page.description)}">`,
+        `<meta property="og:title" content="${escapeHTML(page.name)}">`,
+        `<meta property="og:description" content="${escapeHTML(page.description)}">`,
+        '<meta property="og:type" content="website">',
+        `<meta property="og:site_name" content="${escapeHTML(translate(context.translations, page.locale, 'siteTitle'))}">`,
+        `<meta property="og:image" content="${escapeHTML(page.image)}">`,
+        `<meta property="og:url" content="${escapeHTML(page.url)}">`,
+        `<meta property="og:locale" content="${formatLocale(page.locale, '_')}">`,
+        ...context.locales
+            .filter(code => code !== page.locale)
+            .map(code => `<meta property="og:locale:alternate" content="${formatLocale(code, '_')}">`),
+        '<meta name="twitter:card" content="summary_large_image">',
+        `<meta name="twitter:title" content="${escapeHTML(page.name)}">`,
+        `<meta name="twitter:description" content="${escapeHTML(page.description)}">`,
+        `<meta name="twitter:image" content="${escapeHTML(page.image)}">`,
+        `<link rel="canonical" href="${escapeHTML(page.url)}">`,
+        ...page.alternates.map(alternate => `<link rel="alternate" hreflang="${alternate.hreflang}" href="${escapeHTML(alternate.href)}">`)
+    ];
+
+    if (game) {
+        tags.push('<script type="application/ld+json">', ...buildStructuredData(game, page).split('\n'), '</script>');
+    }
+
+    return tags.map(tag => indent + tag);
+}
+
+/**
+ * Render a page from the index.html template: a game, or the home page when game is null,
+ * in a locale (lang/<locale>/...) or as the x-default page when locale is null
+ */
+function renderPage(template, game, slug, context, locale = null) {
+    const page = getPageData(game, game ? slug : '', locale, context);
+    const eol = template.includes('\r\n') ? '\r\n' : '\n';
+
+    // Tags that describe the page, replaced by the game's own
+    const pageTag = /^\s*(<title>|<meta (name|property)="(description|language|og:[^"]+|twitter:[^"]+)"|<link rel="(canonical|alternate)")/;
+
+    const lines = [];
+    let inserted = false;
+    template.split(/\r?\n/).forEach(line => {
+        if (pageTag.test(line)) {
+            if (!inserted) {
+                lines.push(...buildHeadTags(game, page, context));
+                inserted = true;
+            }
+            return;
+        }
+
+        if (/^<html\b/.test(line)) {
+            lines.push(CONFIG.marker, line.replace(/lang="[^"]*"/, `lang="${page.locale.split('-')[0]}"`));
+            return;
+        }
+
+        lines.push(line);
+
+        // Text for crawlers that don't run the scripts
+        if (/^\s*<body\b/.test(line)) {
+            lines.push(
+                '    <noscript>',
+                `        <h1>${escapeHTML(page.name)}</h1>`,
+                `        <p>${escapeHTML(page.description)}</p>`,
+                '    </noscript>'
+            );
+        }
+    });
+
+    if (!inserted) {
+        throw new Error('index.html has no <title> to replace');
+    }
+
+    return lines.join(eol);
+}
+
+/**
+ * Build sitemap.xml: every page of the home page and of each game, with their hreflang alternates
+ */
+function buildSitemap(games, context) {
+    const slugs = ['', ...games.map(({ slug }) => slug)];
+    const entries = [];
+    slugs.forEach(slug => {
+        const alternates = getAlternates(slug, context);
+        alternates.forEach(page => entries.push([
+            '  <url>',
+            `    <loc>${escapeHTML(page.href)}</loc>`,
+            ...alternates.map(alternate => `    <xhtml:link rel="alternate" hreflang="${alternate.hreflang}" href="${escapeHTML(alternate.href)}"/>`),
+            '  </url>'
+        ].join('\n')));
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        ...entries,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Check whether a file is a page written by this script
+ */
+function isGeneratedPage(file) {
+    try {
+        return fs.readFileSync(file, 'utf8').includes(CONFIG.marker);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Get the pages written by this script in the output folder, as paths from it:
+ * <slug>/index.html, lang/<locale>/index.html and lang/<locale>/<slug>/index.html
+ */
+function findGeneratedPages(outDir) {
+    const listFolders = dir => {
+        try {
+            return fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name);
+        } catch (error) {
+            return [];
+        }
+    };
+
+    const folders = listFolders(outDir);
+    listFolders(path.join(outDir, CONFIG.localeFolder)).forEach(locale => {
+        const localeFolder = `${CONFIG.localeFolder}/${locale}`;
+        folders.push(localeFolder, ...listFolders(path.join(outDir, localeFolder)).map(name => `${localeFolder}/${name}`));
+    });
+
+    return folders
+        .map(folder => `${folder}/index.html`)
+        .filter(file => isGeneratedPage(path.join(outDir, file)));
+}
+
+/**
+ * Remove a folder, and then its parents up to the output folder, while they are empty
+ */
+function removeEmptyFolders(dir, outDir) {
+    while (dir !== outDir && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir);
+        dir = path.dirname(dir);
+    }
+}
+
+/**
+ * Write the pages and sitemap to the output folder, and remove the pages of games
+ * and locales no longer in the catalog. Returns { written, pages, removed, skipped }.
+ */
+function writePages(games, template, context, outDir) {
+    const skipped = [];
+
+    // Never overwrite a folder of the site (assets, docs...) with a game page
+    const pageGames = games.filter(({ game, slug }) => {
+        const dir = path.join(outDir, slug);
+        if (fs.existsSync(dir) && !isGeneratedPage(path.join(dir, 'index.html')) && fs.readdirSync(dir).length > 0) {
+            skipped.push({ id: game.id, reason: `${slug}/ is a folder of the site` });
+            return false;
+        }
+        return true;
+    });
+
+    // The home page of each locale, and the x-default and per-locale pages of each game
+    const pages = context.locales.map(locale => ({ game: null, slug: '', locale }));
+    pageGames.forEach(({ game, slug }) => {
+        [null, ...context.locales].forEach(locale => pages.push({ game, slug, locale }));
+    });
+
+    const files = new Set();
+    pages.forEach(({ game, slug, locale }) => {
+        const file = `${getPagePath(slug, locale)}index.html`;
+        fs.mkdirSync(path.join(outDir, path.dirname(file)), { recursive: true });
+        fs.writeFileSync(path.join(outDir, file), renderPage(template, game, slug, context, locale));
+        files.add(file);
+    });
+
+    const removed = findGeneratedPages(outDir).filter(file => !files.has(file));
+    removed.forEach(file => {
+        fs.unlinkSync(path.join(outDir, file));
+        removeEmptyFolders(path.join(outDir, path.dirname(file)), outDir);
+    });
+
+    fs.writeFileSync(path.join(outDir, 'sitemap.xml'), buildSitemap(pageGames, context));
+
+    return { written: pageGames.map(({ slug }) => slug), pages: files.size, removed, skipped };
+}
+
+/**
+ * Print usage
+ */
+function printUsage() {
+    console.log([
+        'Usage:',
+        '  node tools/build-pages.js [games.json] [--base-url URL] [--out dir] [--locale code]',
+        '',
+        `--base-url  Public URL of the site root (default ${CONFIG.baseUrl})`,
+        '--out       Folder to write <slug>/index.html, lang/ and sitemap.xml to (default: the repository root)',
+        `--locale    Locale of the titles and descriptions of the x-default pages (default ${CONFIG.locale})`
+    ].join('\n'));
+}
+
+/**
+ * Run the CLI with the given arguments, returns the exit code
+ */
+function main(argv) {
+    if (argv.includes('--help')) {
+        printUsage();
+        return 0;
+    }
+
+    const values = ['--base-url', '--out', '--locale'];
+    const files = argv.filter((arg, index) => !arg.startsWith('--') && !values.includes(argv[index - 1]));
+
+    try {
+        const baseUrl = getOption(argv, 'base-url', CONFIG.baseUrl);
+        const translations = readJSON(path.join(ROOT, 'translations.json'));
+        const context = {
+            baseUrl: new URL(baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).href,
+            locale: getOption(argv, 'locale', CONFIG.locale).toLowerCase(),
+            locales: Object.keys(translations),
+            translations
+        };
+
+        if (!translations[context.locale]) {
+            throw new Error(`Unknown locale ${context.locale}, expected one of ${context.locales.join(', ')}`);
+        }
+
+        const outDir = path.resolve(getOption(argv, 'out', ROOT));
+        fs.mkdirSync(outDir, { recursive: true });
+
+        const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+        const { games, skipped } = getPageGames(readJSON(files[0] || path.join(ROOT, 'games.json')));
+        const result = writePages(games, template, context, outDir);
+
+        [...skipped, ...result.skipped].forEach(entry => console.log(`skipped ${entry.id}: ${entry.reason}`));
+        result.removed.forEach(file => console.log(`removed ${file} (no longer in the catalog)`));
+        console.log(`${result.pages} page(s) for ${result.written.length} game(s) and sitemap.xml written to ${outDir}`);
+        return 0;
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    getPageGames,
+    renderPage,
+    buildSitemap
+};
@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+/**
+ * Catalog CLI
+ *
+ * Lints games.json and diffs two versions of it.
+ *
+ *   node tools/catalog-cli.js lint [games.json] [--strict]
+ *   node tools/catalog-cli.js diff <old.json> <new.json> [--json]
+ *
+ * Lint checks the catalog schema (assets/js/catalog-schema.js) plus the rules
+ * that keep URL routing working: unique ids, ids and names whose slugs collide
+ * under createSlug() or makeUrlFriendly() (assets/js/catalog-store.js), slugs
+ * reserved for routes of the site, paths with query strings, and non-https URLs.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const CatalogSchema = require('../assets/js/catalog-schema.js');
+const { createSlug, makeUrlFriendly, RESERVED_SLUGS } = require('../assets/js/catalog-store.js');
+
+const DEFAULT_CATALOG = path.join(__dirname, '..', 'games.json');
+
+/**
+ * Read and parse a catalog file
+ */
+function readCatalog(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Get every entry of a catalog with its location, including invalid ones
+ */
+function getEntries(data) {
+    const entries = [];
+    const collections = Array.isArray(data) ? { nitromeGames: data } : data;
+
+    Object.entries(collections || {}).forEach(([collection, games]) => {
+        if (!Array.isArray(games)) return;
+        games.forEach((game, index) => {
+            if (game && typeof game === 'object') {
+                entries.push({ game, location: `${collection}[${index}]` });
+            }
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * Describe an entry for messages
+ */
+function describe(entry) {
+    return entry.game.id ? `${entry.location} (${entry.game.id})` : entry.location;
+}
+
+/**
+ * Find games whose slugs collide under one slug function.
+ * Both the name and the id are considered, because the URL can use either.
+ */
+function findSlugCollisions(entries, slugFunction, label) {
+    const problems = [];
+    const bySlug = {};
+
+    entries.forEach(entry => {
+        const slugs = new Set([slugFunction(entry.game.name || entry.game.id), slugFunction(entry.game.id)]);
+        slugs.forEach(slug => {
+            if (!slug) return;
+            (bySlug[slug] = bySlug[slug] || []).push(entry);
+        });
+    });
+
+    Object.entries(bySlug).forEach(([slug, matches]) => {
+        const unique = [...new Set(matches)];
+        if (unique.length > 1) {
+            problems.push({
+                severity: 'error',
+                message: `slug "${slug}" (${label}) is shared by ${unique.map(describe).join(', ')}`
+            });
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Find games whose name or id gives a slug reserved for a route of the site (/search, /c/...),
+ * which would hide the game's page
+ */
+function findReservedSlugs(entries) {
+    const problems = [];
+
+    entries.forEach(entry => {
+        const slugs = new Set([entry.game.name || entry.game.id, entry.game.id]
+            .flatMap(text => [createSlug(text), makeUrlFriendly(text)]));
+        slugs.forEach(slug => {
+            if (RESERVED_SLUGS.includes(slug)) {
+                problems.push({
+                    severity: 'error',
+                    message: `${describe(entry)} slug "${slug}" is reserved for a route of the site (${RESERVED_SLUGS.join(', ')})`
+                });
+            }
+        });
+    });
+
+    return problems;
+}
+
+/**
+ * Check the URLs of an entry: https only, and no query string in the SWF path
+ */
+function checkUrls(entry) {
+    const problems = [];
+    const game = entry.game;
+    const urls = [
+        ['path', game.path],
+        ['thumbnail', game.thumbnail],
+        ...(Array.isArray(game.mirrors) ? game.mirrors.map(url => ['mirrors', url]) : []),
+        ...(Array.isArray(game.previousPaths) ? game.previousPaths.map(url => ['previousPaths', url]) : [])
+    ];
+
+    urls.forEach(([field, url]) => {
+        if (typeof url !== 'string') return;
+
+        if (/^[a-z][a-z0-9+.-]*:/i.test(url) && !/^https:\/\//i.test(url)) {
+            problems.push({ severity: 'error', message: `${describe(entry)} ${field} is not https: ${url}` });
+        }
+    });
+
+    urls.filter(([field]) => field === 'path' || field === 'mirrors').forEach(([field, url]) => {
+        const match = typeof url === 'string' && url.match(/[?#].*$/);
+        if (match) {
+            problems.push({
+                severity: 'error',
+                message: `${describe(entry)} ${field} has a query string "${match[0]}", move SWF parameters to "flashvars"`
+            });
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Lint a parsed catalog. Returns a list of { severity, message }.
+ */
+function lintCatalog(data) {
+    const result = CatalogSchema.validateCatalog(data);
+    const problems = CatalogSchema.formatReport(result).map(line => {
+        const separator = line.indexOf(': ');
+        return { severity: line.slice(0, separator), message: line.slice(separator + 2) };
+    });
+
+    const entries = getEntries(data);
+    problems.push(...findSlugCollisions(entries, createSlug, 'createSlug'));
+    problems.push(...findSlugCollisions(entries, makeUrlFriendly, 'makeUrlFriendly'));
+    problems.push(...findReservedSlugs(entries));
+    entries.forEach(entry => problems.push(...checkUrls(entry)));
+
+    return problems;
+}
+
+/**
+ * Compare two parsed catalogs by game id (case-insensitive)
+ */
+function diffCatalogs(oldData, newData) {
+    const index = (data) => {
+        const games = new Map();
+        getEntries(data).forEach(entry => {
+            if (typeof entry.game.id === 'string') {
+                games.set(entry.game.id.toLowerCase(), entry.game);
+            }
+        });
+        return games;
+    };
+
+    const oldGames = index(oldData);
+    const newGames = index(newData);
+    const diff = { added: [], removed: [], changed: [] };
+
+    newGames.forEach((game, key) => {
+        if (!oldGames.has(key)) {
+            diff.added.push(game);
+        }
+    });
+
+    oldGames.forEach((oldGame, key) => {
+        const newGame = newGames.get(key);
+        if (!newGame) {
+            diff.removed.push(oldGame);
+            return;
+        }
+
+        const fields = [...new Set([...Object.keys(oldGame), ...Object.keys(newGame)])];
+        const changes = fields
+            .filter(field => JSON.stringify(oldGame[field]) !== JSON.stringify(newGame[field]))
+            .map(field => ({ field, from: oldGame[field], to: newGame[field] }));
+
+        if (changes.length > 0) {
+            diff.changed.push({ id: newGame.id, name: newGame.name, changes });
+        }
+    });
+
+    return diff;
+}
+
+/**
+ * Format a diff as Markdown, ready to paste into a review
+ */
+function formatDiff(diff) {
+    const value = (v) => v === undefined ? '_(none)_' : `\`${typeof v === 'string' ? v : JSON.stringify(v)}\``;
+    const lines = ['## games.json changes', ''];
+
+    if (!diff.added.length && !diff.removed.length && !diff.changed.length) {
+        lines.push('No changes.');
+        return lines.join('\n');
+    }
+
+    if (diff.added.length) {
+        lines.push(`### Added (${diff.added.length})`, '');
+        diff.added.forEach(game => lines.push(`- \`${game.id}\` ${game.name || ''} (${game.path})`));
+        lines.push('');
+    }
+
+    if (diff.removed.length) {
+        lines.push(`### Removed (${diff.removed.length})`, '');
+        diff.removed.forEach(game => lines.push(`- \`${game.id}\` ${game.name || ''} (${game.path})`));
+        lines.push('');
+    }
+
+    if (diff.changed.length) {
+        lines.push(`### Changed (${diff.changed.length})`, '');
+        diff.changed.forEach(entry => {
+            lines.push(`- \`${entry.id}\` ${entry.name || ''}`);
+            entry.changes.forEach(change => lines.push(`  - ${change.field}: ${value(change.from)} → ${value(change.to)}`));
+        });
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Print usage
+ */
+function printUsage() {
+    console.log([
+        'Usage:',
+        '  node tools/catalog-cli.js lint [games.json] [--strict]',
+        '  node tools/catalog-cli.js diff <old.json> <new.json> [--json]',
+        '',
+        'lint  Checks the catalog. Exits with 1 on errors (or on warnings with --strict).',
+        'diff  Prints added, removed and changed games as Markdown (or JSON with --json).'
+    ].join('\n'));
+}
+
+/**
+ * Run the CLI with the given arguments, returns the exit code
+ */
+function main(argv) {
+    const flags = argv.filter(arg => arg.startsWith('--'));
+    const [command, ...files] = argv.filter(arg => !arg.startsWith('--'));
+
+    try {
+        if (command === 'lint') {
+            const file = files[0] || DEFAULT_CATALOG;
+            const problems = lintCatalog(readCatalog(file));
+            const errors = problems.filter(problem => problem.severity === 'error');
+            const warnings = problems.filter(problem => problem.severity !== 'error');
+
+            problems.forEach(problem => console.log(`${path.basename(file)}: ${problem.severity}: ${problem.message}`));
+            console.log(`${errors.length} error(s), ${warnings.length} warning(s)`);
+
+            return errors.length > 0 || (flags.includes('--strict') && warnings.length > 0) ? 1 : 0;
+        }
+
+        if (command === 'diff') {
+            if (files.length !== 2) {
+                printUsage();
+                return 2;
+            }
+
+            const diff = diffCatalogs(readCatalog(files[0]), readCatalog(files[1]));
+            console.log(flags.includes('--json') ? JSON.stringify(diff, null, 2) : formatDiff(diff));
+            return 0;
+        }
+
+        printUsage();
+        return command ? 2 : 0;
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    createSlug,
+    makeUrlFriendly,
+    lintCatalog,
+    diffCatalogs,
+    formatDiff
+};
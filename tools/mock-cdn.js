@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Mock CDN
+ *
+ * Local test server (no dependencies) that serves the site and a fake CDN,
+ * so pages like health.html can be tested without the real cdn.xperia.pt.
+ *
+ *   node tools/mock-cdn.js [--port 8080] [--mock-games]
+ *
+ * Site: http://localhost:8080/ (the repository, unknown paths fall back to index.html)
+ *   /mock/catalog.json  a catalog with one entry per CDN scenario below, and
+ *                       "mock_failover", whose path and first mirror fail
+ *   /games.json         the mock catalog instead of the real one, with --mock-games
+ *
+ * CDN:  http://localhost:8081/ (a different origin, so CORS is exercised)
+ *   /ok.swf        200, SWF, CORS allowed
+ *   /missing.swf   404
+ *   /error.swf     500
+ *   /html.swf      200 with text/html (a "soft 404" page)
+ *   /empty.swf     200 with an empty body
+ *   /slow.swf      200 after a 3 second delay
+ *   /no-cors.swf   200 without Access-Control-Allow-Origin
+ *   /flaky.swf     503 twice, then 200 (one request in three succeeds)
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SAMPLE_SWF = path.join(ROOT, 'ruffle-assets', 'logo-anim.swf');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.swf': 'application/x-shockwave-flash',
+    '.wasm': 'application/wasm',
+    '.map': 'application/json'
+};
+
+// Requests to flaky.swf so far
+let flakyRequests = 0;
+
+/**
+ * CDN scenarios: each returns { status, cors, type, body, delay }
+ */
+const SCENARIOS = {
+    'ok.swf': () => ({ status: 200, cors: true, type: '.swf', body: fs.readFileSync(SAMPLE_SWF) }),
+    'missing.swf': () => ({ status: 404, cors: true, type: '.html', body: 'Not Found' }),
+    'error.swf': () => ({ status: 500, cors: true, type: '.html', body: 'Internal Server Error' }),
+    'html.swf': () => ({ status: 200, cors: true, type: '.html', body: '<!DOCTYPE html><p>Page not found</p>' }),
+    'empty.swf': () => ({ status: 200, cors: true, type: '.swf', body: Buffer.alloc(0) }),
+    'slow.swf': () => ({ status: 200, cors: true, type: '.swf', body: fs.readFileSync(SAMPLE_SWF), delay: 3000 }),
+    'no-cors.swf': () => ({ status: 200, cors: false, type: '.swf', body: fs.readFileSync(SAMPLE_SWF) }),
+    'flaky.swf': () => (++flakyRequests % 3
+        ? { status: 503, cors: true, type: '.html', body: 'Service Unavailable' }
+        : { status: 200, cors: true, type: '.swf', body: fs.readFileSync(SAMPLE_SWF) })
+};
+
+/**
+ * Parse --port from the command line
+ */
+function getPort(argv) {
+    const index = argv.indexOf('--port');
+    const port = index !== -1 ? parseInt(argv[index + 1], 10) : 8080;
+    return Number.isInteger(port) ? port : 8080;
+}
+
+/**
+ * Send a response, without a body for HEAD requests
+ */
+function send(req, res, status, headers, body) {
+    const data = typeof body === 'string' ? Buffer.from(body) : body;
+    res.writeHead(status, { ...headers, 'Content-Length': data.length });
+    res.end(req.method === 'HEAD' ? undefined : data);
+}
+
+/**
+ * Build the mock catalog, pointing at the CDN port
+ */
+function buildCatalog(cdnOrigin) {
+    const games = Object.keys(SCENARIOS).map(file => {
+        const id = file.replace('.swf', '').replace(/-/g, '_');
+        return {
+            id: `mock_${id}`,
+            name: `Mock ${id}`,
+            path: `${cdnOrigin}/${file}`
+        };
+    });
+
+    // Fails over from a 404 to a 500 (retried) to a copy on the site itself (see game-sources.js)
+    games.push({
+        id: 'mock_failover',
+        name: 'Mock failover',
+        path: `${cdnOrigin}/missing.swf`,
+        mirrors: [`${cdnOrigin}/error.swf`, 'ruffle-assets/logo-anim.swf']
+    });
+
+    return { schemaVersion: 1, nitromeGames: games };
+}
+
+/**
+ * Create the site server (serves the repository).
+ * With mockGames, the main page gets the mock catalog as games.json.
+ */
+function createSiteServer(cdnOrigin, mockGames = false) {
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        console.log(`[site] ${req.method} ${url.pathname}`);
+
+        if (url.pathname === '/mock/catalog.json' || (mockGames && url.pathname === '/games.json')) {
+            send(req, res, 200, { 'Content-Type': CONTENT_TYPES['.json'] }, JSON.stringify(buildCatalog(cdnOrigin), null, 2));
+            return;
+        }
+
+        let file = path.normalize(path.join(ROOT, decodeURIComponent(url.pathname)));
+        if (!file.startsWith(ROOT)) {
+            send(req, res, 403, {}, 'Forbidden');
+            return;
+        }
+        if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+            file = path.join(file, 'index.html');
+        }
+        if (!fs.existsSync(file)) {
+            // Same as the .htaccess catch-all: extensionless paths are served by index.html
+            if (path.extname(url.pathname)) {
+                send(req, res, 404, { 'Content-Type': CONTENT_TYPES['.html'] }, 'Not Found');
+                return;
+            }
+            file = path.join(ROOT, 'index.html');
+        }
+
+        const type = CONTENT_TYPES[path.extname(file)] || 'application/octet-stream';
+        send(req, res, 200, { 'Content-Type': type, 'Cache-Control': 'no-cache' }, fs.readFileSync(file));
+    });
+}
+
+/**
+ * Create the mock CDN server
+ */
+function createCdnServer() {
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const name = url.pathname.replace(/^\/+/, '');
+        const scenario = SCENARIOS[name];
+        console.log(`[cdn]  ${req.method} ${url.pathname}`);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET, HEAD' });
+            res.end();
+            return;
+        }
+
+        if (!scenario) {
+            send(req, res, 404, { 'Access-Control-Allow-Origin': '*', 'Content-Type': CONTENT_TYPES['.html'] }, 'Not Found');
+            return;
+        }
+
+        const response = scenario();
+        const headers = { 'Content-Type': CONTENT_TYPES[response.type], 'Cache-Control': 'no-store' };
+        if (response.cors) {
+            headers['Access-Control-Allow-Origin'] = '*';
+        }
+
+        setTimeout(() => send(req, res, response.status, headers, response.body), response.delay || 0);
+    });
+}
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+    const port = getPort(argv);
+    const cdnOrigin = `http://localhost:${port + 1}`;
+    const mockGames = argv.includes('--mock-games');
+
+    createCdnServer().listen(port + 1, () => console.log(`Mock CDN:  ${cdnOrigin}/`));
+    createSiteServer(cdnOrigin, mockGames).listen(port, () => {
+        console.log(`Site:      http://localhost:${port}/`);
+        console.log(`Health:    http://localhost:${port}/health.html?catalog=/mock/catalog.json`);
+        if (mockGames) {
+            console.log(`Failover:  http://localhost:${port}/mock-failover`);
+        }
+    });
+}
+
+module.exports = {
+    SCENARIOS,
+    buildCatalog,
+    createSiteServer,
+    createCdnServer
+};